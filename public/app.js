@@ -3,11 +3,23 @@ const statusBox = document.getElementById("status");
 const results = document.getElementById("results");
 const roleLevel = document.getElementById("role-level");
 const roleFocus = document.getElementById("role-focus");
+const roleProfileSelect = document.getElementById("role-profile");
+const roleProfileValue = document.getElementById("role-profile-value");
+const questionLanguageSelect = document.getElementById("question-language");
 const questionList = document.getElementById("question-list");
 const signalsWrap = document.getElementById("signals");
 const jobTextInput = document.getElementById("job-text");
+const pasteAccordion = jobTextInput.closest("details");
+const jobFileInput = document.getElementById("job-file");
 const moreBtn = document.getElementById("more-btn");
 const quizBtn = document.getElementById("quiz-btn");
+const postingPanel = document.getElementById("posting");
+const postingSummary = document.getElementById("posting-summary");
+const postingMeta = document.getElementById("posting-meta");
+const postingSections = document.getElementById("posting-sections");
+const companyPanel = document.getElementById("company");
+const companySummary = document.getElementById("company-summary");
+const companySections = document.getElementById("company-sections");
 const quizModal = document.getElementById("quiz-modal");
 const quizTimer = document.getElementById("quiz-timer");
 const quizQuestion = document.getElementById("quiz-question");
@@ -15,14 +27,56 @@ const prevBtn = document.getElementById("prev-btn");
 const nextBtn = document.getElementById("next-btn");
 const closeBtn = document.getElementById("close-btn");
 const timerButtons = document.querySelectorAll(".timer-btn");
+const quizAnswer = document.getElementById("quiz-answer");
+const feedbackBtn = document.getElementById("feedback-btn");
+const quizFeedback = document.getElementById("quiz-feedback");
+const recordBtn = document.getElementById("record-btn");
+const speechStats = document.getElementById("speech-stats");
+const accountStatus = document.getElementById("account-status");
+const resumeStatus = document.getElementById("resume-status");
+const resumeControls = document.getElementById("resume-controls");
+const resumeFileInput = document.getElementById("resume-file");
+const resumeReviewBtn = document.getElementById("resume-review-btn");
+const resumeReview = document.getElementById("resume-review");
+const practiceCard = document.getElementById("practice-card");
+const practiceDue = document.getElementById("practice-due");
+const practiceBtn = document.getElementById("practice-btn");
+const confidenceRow = document.getElementById("confidence");
+const confidenceButtons = document.querySelectorAll(".confidence-btn");
+const interviewBtn = document.getElementById("interview-btn");
+const exportButtons = document.querySelectorAll("[data-export]");
+const interviewDateInput = document.getElementById("interview-date");
+const interviewModal = document.getElementById("interview-modal");
+const interviewCloseBtn = document.getElementById("interview-close-btn");
+const interviewTranscript = document.getElementById("interview-transcript");
+const interviewDebrief = document.getElementById("interview-debrief");
+const interviewForm = document.getElementById("interview-form");
+const interviewAnswer = document.getElementById("interview-answer");
+const interviewSendBtn = document.getElementById("interview-send-btn");
+const interviewEndBtn = document.getElementById("interview-end-btn");
+const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
 let lastPayload = null;
+let lastAnalysis = null;
+let lastPostingTitle = "";
+let currentJobId = null;
 let lastQuestions = [];
 let quizQuestions = [];
 let quizIndex = 0;
 let quizDuration = 120;
 let quizSeconds = 120;
 let quizInterval = null;
+let quizAnswers = {};
+let mediaRecorder = null;
+let currentResume = null;
+let signedIn = false;
+let quizMode = "job";
+let quizJobIds = {};
+let quizRatings = {};
+let interviewId = null;
+
+const RESUME_QUESTIONS_THEME = "About your resume";
+const PRACTICE_SESSION_SIZE = 10;
 
 function setStatus(message, type = "info") {
   statusBox.textContent = message;
@@ -38,16 +92,17 @@ function clearStatus() {
   statusBox.classList.remove("error");
 }
 
-function renderResults(analysis) {
-  results.classList.remove("hidden");
+function renderSummary(analysis) {
   const level = analysis.role_level || "unknown";
   const focus = analysis.focus || "design";
   const signals = Array.isArray(analysis.signals) ? analysis.signals.slice(0, 6) : [];
 
   roleLevel.textContent = level.charAt(0).toUpperCase() + level.slice(1);
   roleFocus.textContent = focus.charAt(0).toUpperCase() + focus.slice(1);
-  questionList.innerHTML = "";
-  lastQuestions = [];
+  // Analyses saved before role profiles existed were all generated for design roles.
+  const profile = [...roleProfileSelect.options].find((option) => option.value === (analysis.profile || "design"));
+  roleProfileValue.textContent = profile ? profile.textContent : "—";
+  questionList.lang = analysis.language || "en";
 
   signalsWrap.innerHTML = "";
   if (signals.length) {
@@ -61,29 +116,213 @@ function renderResults(analysis) {
   } else {
     signalsWrap.classList.add("hidden");
   }
+}
+
+function setResultActionsEnabled(enabled) {
+  moreBtn.disabled = !enabled;
+  quizBtn.disabled = !enabled;
+  interviewBtn.disabled = !enabled;
+  exportButtons.forEach((button) => {
+    button.disabled = !enabled;
+  });
+}
+
+function finishResults(analysis) {
+  renderSummary(analysis);
+  lastAnalysis = {
+    ...analysis,
+    themes: (analysis.themes || []).map((themeBlock) => ({
+      theme: themeBlock.theme,
+      questions: (themeBlock.questions || []).slice()
+    }))
+  };
+  setResultActionsEnabled(true);
+}
+
+function renderResults(analysis) {
+  results.classList.remove("hidden");
+  renderSummary(analysis);
+  questionList.innerHTML = "";
+  lastQuestions = [];
+  quizAnswers = {};
 
   (analysis.themes || []).forEach((themeBlock) => {
-    const wrapper = document.createElement("div");
+    appendThemeQuestions(themeBlock.theme, themeBlock.questions || []);
+  });
+  finishResults(analysis);
+}
+
+const POSTING_FIELDS = [
+  ["company", "Company"],
+  ["location", "Location"],
+  ["employmentType", "Employment type"],
+  ["salary", "Salary"],
+  ["datePosted", "Posted"]
+];
+
+const COMPANY_FIELDS = [
+  ["values", "Stated values"],
+  ["principles", "Leadership principles"],
+  ["loop", "Interview loop"]
+];
+
+function renderCompany(company) {
+  companySections.innerHTML = "";
+  companyPanel.classList.toggle("hidden", !company);
+  if (!company) return;
+
+  companyPanel.open = false;
+  companySummary.textContent = `Company context: ${company.name}`;
+  COMPANY_FIELDS.filter(([key]) => company[key]?.length).forEach(([key, label]) => {
+    const wrapper = document.createElement("section");
+    const heading = document.createElement("h3");
+    heading.textContent = label;
+    const list = document.createElement(key === "loop" ? "ol" : "ul");
+    company[key].forEach((text) => {
+      const item = document.createElement("li");
+      item.textContent = text;
+      list.appendChild(item);
+    });
+    wrapper.append(heading, list);
+    companySections.appendChild(wrapper);
+  });
+  if (company.notes) {
+    const notes = document.createElement("p");
+    notes.textContent = company.notes;
+    companySections.appendChild(notes);
+  }
+}
+
+function renderPosting(posting) {
+  lastPostingTitle = posting?.title || "";
+  postingMeta.innerHTML = "";
+  postingSections.innerHTML = "";
+  if (!posting?.sections?.length) {
+    postingPanel.classList.add("hidden");
+    return;
+  }
+
+  postingPanel.classList.remove("hidden");
+  postingPanel.open = false;
+  postingSummary.textContent = posting.title ? `Job posting: ${posting.title}` : "Job posting";
+
+  POSTING_FIELDS.filter(([key]) => posting[key]).forEach(([key, label]) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const value = document.createElement("dd");
+    value.textContent = posting[key];
+    postingMeta.append(term, value);
+  });
+  postingMeta.classList.toggle("hidden", !postingMeta.children.length);
+
+  posting.sections.forEach((section) => {
+    const wrapper = document.createElement("section");
+    if (section.heading) {
+      const heading = document.createElement("h3");
+      heading.textContent = section.heading;
+      wrapper.appendChild(heading);
+    }
+    (section.paragraphs || []).forEach((text) => {
+      const paragraph = document.createElement("p");
+      paragraph.textContent = text;
+      wrapper.appendChild(paragraph);
+    });
+    if (section.bullets?.length) {
+      const list = document.createElement("ul");
+      section.bullets.forEach((text) => {
+        const item = document.createElement("li");
+        item.textContent = text;
+        list.appendChild(item);
+      });
+      wrapper.appendChild(list);
+    }
+    postingSections.appendChild(wrapper);
+  });
+}
+
+function appendThemeQuestions(theme, questions) {
+  const label = theme || "Theme";
+  let wrapper = Array.from(questionList.querySelectorAll(".theme")).find(
+    (item) => item.dataset.theme === label
+  );
+
+  if (!wrapper) {
+    wrapper = document.createElement("div");
     wrapper.className = "theme";
+    wrapper.dataset.theme = label;
 
     const title = document.createElement("h3");
-    title.textContent = themeBlock.theme || "Theme";
+    title.textContent = label;
     wrapper.appendChild(title);
+    wrapper.appendChild(document.createElement("ol"));
+    questionList.appendChild(wrapper);
+  }
 
-    const list = document.createElement("ol");
-    (themeBlock.questions || []).forEach((question) => {
-      const li = document.createElement("li");
-      li.textContent = question;
-      list.appendChild(li);
-      lastQuestions.push(question);
-    });
+  const list = wrapper.querySelector("ol");
+  questions.forEach((question) => {
+    const li = document.createElement("li");
+    li.textContent = question;
+    li.dataset.question = question;
+    list.appendChild(li);
+    lastQuestions.push(question);
+  });
+}
 
-    wrapper.appendChild(list);
-    questionList.appendChild(wrapper);
+function renderStoryMatches(matches) {
+  questionList.querySelectorAll(".story-match, .question-story").forEach((node) => node.remove());
+  const themeWrappers = Array.from(questionList.querySelectorAll(".theme"));
+
+  matches.themes.forEach((block) => {
+    const wrapper = themeWrappers.find((item) => item.dataset.theme === block.theme);
+    if (!wrapper) return;
+
+    const note = document.createElement("p");
+    note.className = "story-match";
+    if (block.covered) {
+      note.textContent = `Your stories: ${block.stories.map((story) => story.title).join(", ")}`;
+    } else {
+      note.classList.add("missing");
+      note.textContent = matches.storyCount
+        ? "No story covers this theme yet. "
+        : "Your story bank is empty. ";
+      const link = document.createElement("a");
+      link.href = "/stories.html";
+      link.textContent = "Add a story";
+      note.appendChild(link);
+    }
+    wrapper.querySelector("h3").after(note);
+
+    const items = Array.from(wrapper.querySelectorAll("li"));
+    block.questions.forEach((match) => {
+      const item = items.find((li) => li.dataset.question === match.question);
+      if (!item || !match.story) return;
+      const hint = document.createElement("span");
+      hint.className = "question-story";
+      hint.textContent = `Story: ${match.story.title}`;
+      item.appendChild(hint);
+    });
   });
+}
+
+async function refreshStoryMatches() {
+  if (!currentJobId || !lastAnalysis) return;
 
-  moreBtn.disabled = false;
-  quizBtn.disabled = false;
+  const response = await fetch("/api/stories/match", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ analysis: lastAnalysis })
+  }).catch(() => null);
+  if (!response?.ok) return;
+  renderStoryMatches(await response.json());
+}
+
+function mergeThemeQuestions(theme, questions) {
+  const existing = lastAnalysis.themes.find((themeBlock) => themeBlock.theme === theme);
+  if (existing) {
+    existing.questions.push(...questions);
+  } else {
+    lastAnalysis.themes.push({ theme, questions: questions.slice() });
+  }
 }
 
 function shuffleQuestions(questions) {
@@ -95,18 +334,45 @@ function shuffleQuestions(questions) {
   return shuffled;
 }
 
-function startQuiz() {
+async function startQuiz() {
   if (!lastQuestions.length) {
     setStatus("Generate questions first to start quiz mode.", "error");
     return;
   }
 
-  quizQuestions = shuffleQuestions(lastQuestions);
+  let questions = shuffleQuestions(lastQuestions);
+  if (currentJobId) {
+    const due = (await fetchPracticeSession({ jobId: currentJobId, limit: lastQuestions.length }).catch(() => []))
+      .map((card) => card.question)
+      .filter((question) => lastQuestions.includes(question));
+    questions = [...due, ...questions.filter((question) => !due.includes(question))];
+  }
+  quizMode = "job";
+  quizJobIds = {};
+  openQuiz(questions);
+}
+
+async function startPractice() {
+  const cards = await fetchPracticeSession({ limit: PRACTICE_SESSION_SIZE });
+  if (!cards.length) {
+    setStatus("Nothing is due today. Come back tomorrow!", "info");
+    return;
+  }
+
+  quizMode = "practice";
+  quizJobIds = Object.fromEntries(cards.map((card) => [card.question, card.jobId]));
+  openQuiz(cards.map((card) => card.question));
+}
+
+function openQuiz(questions) {
+  quizQuestions = questions;
+  quizRatings = {};
   quizIndex = 0;
   quizSeconds = quizDuration;
   quizModal.classList.remove("hidden");
   updateQuizQuestion();
   startTimer();
+  trackEvent("quiz_start");
 }
 
 function updateQuizQuestion() {
@@ -118,6 +384,203 @@ function updateQuizQuestion() {
   quizQuestion.textContent = question;
   prevBtn.disabled = quizIndex <= 0;
   nextBtn.disabled = quizIndex >= quizQuestions.length - 1;
+
+  confidenceRow.classList.toggle("hidden", !signedIn);
+  confidenceButtons.forEach((btn) => {
+    btn.classList.toggle("active", Number(btn.dataset.confidence) === quizRatings[question]);
+  });
+
+  const saved = quizAnswers[question] || {};
+  quizAnswer.value = saved.answer || "";
+  renderSpeechStats(saved.speech);
+  if (saved.feedback) {
+    renderFeedback(saved.feedback);
+  } else {
+    quizFeedback.innerHTML = "";
+    quizFeedback.classList.add("hidden");
+  }
+}
+
+function currentQuizQuestion() {
+  if (!quizQuestions.length) return null;
+  return quizQuestions[quizIndex % quizQuestions.length];
+}
+
+function saveQuizAnswer() {
+  const question = currentQuizQuestion();
+  if (!question) return;
+  quizAnswers[question] = { ...quizAnswers[question], answer: quizAnswer.value };
+}
+
+function renderSpeechStats(stats) {
+  if (!stats) {
+    speechStats.textContent = "";
+    speechStats.classList.add("hidden");
+    return;
+  }
+
+  const parts = [];
+  if (stats.words_per_minute) {
+    parts.push(`${stats.words_per_minute} words/min (${stats.pace} pace)`);
+  }
+  const fillers = Object.entries(stats.fillers || {})
+    .map(([filler, count]) => `${filler} ×${count}`)
+    .join(", ");
+  parts.push(
+    stats.filler_count
+      ? `${stats.filler_count} filler words: ${fillers}`
+      : "No filler words"
+  );
+
+  speechStats.textContent = parts.join(" · ");
+  speechStats.classList.remove("hidden");
+}
+
+async function transcribeRecording(question, blob, seconds) {
+  setButtonLoading(recordBtn, true, "Transcribing...");
+
+  try {
+    const response = await fetch("/api/transcribe", {
+      method: "POST",
+      headers: {
+        "Content-Type": blob.type || "audio/webm",
+        "X-Audio-Duration": String(Math.round(seconds))
+      },
+      body: blob
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "Unexpected error.");
+    }
+
+    const previous = quizAnswers[question]?.answer?.trim();
+    const answer = previous ? `${previous}\n\n${data.transcript}` : data.transcript;
+    quizAnswers[question] = { ...quizAnswers[question], answer, speech: data.stats };
+    if (currentQuizQuestion() === question) {
+      quizAnswer.value = answer;
+      renderSpeechStats(data.stats);
+    }
+    persistQuizAnswer(question);
+  } catch (err) {
+    setStatus(err.message || "Something went wrong.", "error");
+  } finally {
+    setButtonLoading(recordBtn, false);
+  }
+}
+
+async function startRecording() {
+  const question = currentQuizQuestion();
+  if (!question) return;
+
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const recorder = new MediaRecorder(stream);
+  const chunks = [];
+  const startedAt = Date.now();
+
+  recorder.addEventListener("dataavailable", (event) => {
+    if (event.data.size) chunks.push(event.data);
+  });
+  recorder.addEventListener("stop", () => {
+    stream.getTracks().forEach((track) => track.stop());
+    mediaRecorder = null;
+    recordBtn.textContent = "Record answer";
+    recordBtn.classList.remove("recording");
+    const blob = new Blob(chunks, { type: recorder.mimeType || "audio/webm" });
+    transcribeRecording(question, blob, (Date.now() - startedAt) / 1000);
+  });
+
+  mediaRecorder = recorder;
+  recorder.start();
+  recordBtn.textContent = "Stop recording";
+  recordBtn.classList.add("recording");
+}
+
+function stopRecording() {
+  if (mediaRecorder && mediaRecorder.state !== "inactive") {
+    mediaRecorder.stop();
+  }
+}
+
+function appendFeedbackSection(title, content) {
+  const section = document.createElement("div");
+  const heading = document.createElement("h4");
+  heading.textContent = title;
+  section.appendChild(heading);
+  section.appendChild(content);
+  quizFeedback.appendChild(section);
+}
+
+function createScoreRow(label, item) {
+  const row = document.createElement("div");
+  row.className = "feedback-row";
+
+  const name = document.createElement("span");
+  name.textContent = label;
+  const score = document.createElement("span");
+  score.className = "feedback-score";
+  score.classList.toggle("low", (item?.score || 0) < 3);
+  score.textContent = `${item?.score ?? 0}/5`;
+  const comment = document.createElement("span");
+  comment.textContent = item?.comment || "";
+
+  row.append(name, score, comment);
+  return row;
+}
+
+function createList(items) {
+  const list = document.createElement("ul");
+  items.forEach((item) => {
+    const li = document.createElement("li");
+    li.textContent = item;
+    list.appendChild(li);
+  });
+  return list;
+}
+
+function renderFeedback(feedback) {
+  quizFeedback.innerHTML = "";
+  quizFeedback.classList.remove("hidden");
+
+  const overall = document.createElement("div");
+  overall.className = "feedback-overall";
+  overall.textContent = `Overall: ${feedback.overall_score ?? 0}/5`;
+  quizFeedback.appendChild(overall);
+
+  const star = document.createElement("div");
+  [
+    ["Situation", feedback.star?.situation],
+    ["Task", feedback.star?.task],
+    ["Action", feedback.star?.action],
+    ["Result", feedback.star?.result]
+  ].forEach(([label, item]) => star.appendChild(createScoreRow(label, item)));
+  appendFeedbackSection("STAR structure", star);
+
+  const fit = document.createElement("div");
+  fit.appendChild(createScoreRow("Signals", feedback.signal_alignment));
+  fit.appendChild(createScoreRow("Level", feedback.level_fit));
+  const tags = document.createElement("div");
+  tags.className = "actions";
+  (feedback.signal_alignment?.matched_signals || []).forEach((signal) => {
+    const tag = document.createElement("span");
+    tag.className = "signal-tag";
+    tag.textContent = signal;
+    tags.appendChild(tag);
+  });
+  (feedback.signal_alignment?.missing_signals || []).forEach((signal) => {
+    const tag = document.createElement("span");
+    tag.className = "signal-tag missing";
+    tag.textContent = `Missing: ${signal}`;
+    tags.appendChild(tag);
+  });
+  if (tags.childElementCount) fit.appendChild(tags);
+  appendFeedbackSection("Role fit", fit);
+
+  if (feedback.strengths?.length) {
+    appendFeedbackSection("Strengths", createList(feedback.strengths));
+  }
+  if (feedback.improvements?.length) {
+    appendFeedbackSection("Improve", createList(feedback.improvements));
+  }
 }
 
 function startTimer() {
@@ -129,6 +592,7 @@ function startTimer() {
       quizSeconds = 0;
       updateTimer();
       clearInterval(quizInterval);
+      stopRecording();
       setStatus("Time is up. Try another question!", "info");
       return;
     }
@@ -144,14 +608,242 @@ function updateTimer() {
 
 function exitQuiz() {
   clearInterval(quizInterval);
+  stopRecording();
+  persistQuizAnswer(currentQuizQuestion());
   quizModal.classList.add("hidden");
+  if (signedIn) {
+    loadPracticeStats().catch(() => {});
+  }
+}
+
+const FETCH_ERROR_HINTS = {
+  invalid_url: "Check the link and try again.",
+  blocked_address: "Only public job pages can be fetched.",
+  dns_failed: "Check the link for typos.",
+  timeout: "The site was too slow to respond. Try again, or paste the job text below.",
+  too_large: "Paste the job text below instead.",
+  too_many_redirects: "Open the link in your browser and copy the final address, or paste the job text below.",
+  http_error: "The site may require a login or block automated requests. Paste the job text below instead.",
+  network_error: "The site could not be reached. Try again, or paste the job text below.",
+  no_text: "The page may need JavaScript to show the posting. Paste the job text below instead."
+};
+
+const ANALYZE_PROGRESS = {
+  fetch: "Fetching the job page...",
+  read_file: "Reading the file...",
+  model: "Generating questions..."
+};
+
+function handleAnalyzeEvent(event, data) {
+  if (event === "progress") {
+    setStatus(
+      data.stage === "model" && data.condensed === "summarized"
+        ? "The posting is long. Summarizing it, then generating questions..."
+        : ANALYZE_PROGRESS[data.stage] || "Working..."
+    );
+  } else if (event === "parse") {
+    setStatus(`Read the posting${data.title ? `: ${data.title}` : ""}. Detecting the role...`);
+  } else if (event === "signals") {
+    renderResults({ ...data, themes: [] });
+    setResultActionsEnabled(false);
+  } else if (event === "theme") {
+    appendThemeQuestions(data.theme, data.questions || []);
+    setStatus(`Generating questions... ${questionList.querySelectorAll(".theme").length} themes so far.`);
+  }
 }
 
 async function analyzeJob(payload) {
-  const response = await fetch("/api/analyze", {
+  let body = payload;
+  if (payload.file) {
+    body = new FormData();
+    body.append("file", payload.file);
+    body.append("profile", payload.profile);
+    body.append("language", payload.language);
+  }
+
+  let result = null;
+  try {
+    await streamEvents("/api/analyze/stream", body, (event, data) => {
+      if (event === "result") {
+        result = data;
+      } else {
+        handleAnalyzeEvent(event, data);
+      }
+    });
+  } catch (err) {
+    const hint = FETCH_ERROR_HINTS[err.code];
+    if (hint) {
+      pasteAccordion.open = true;
+    }
+    throw new Error([err.message, hint].filter(Boolean).join(" "));
+  }
+
+  if (!result) {
+    throw new Error("The analysis stopped before it finished. Please try again.");
+  }
+  return result;
+}
+
+function trackEvent(type) {
+  fetch("/api/events", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload)
+    body: JSON.stringify({ type }),
+    keepalive: true
+  }).catch(() => {});
+}
+
+async function saveToJob(path, payload, jobId = currentJobId) {
+  if (!jobId) return;
+
+  try {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) {
+      throw new Error("Save failed.");
+    }
+  } catch {
+    setStatus("Could not save your progress to My jobs.", "error");
+  }
+}
+
+function persistQuizAnswer(question) {
+  const saved = question ? quizAnswers[question] : null;
+  if (!saved?.answer?.trim()) return;
+  saveToJob("answers", { question, ...saved }, quizJobIds[question] || currentJobId);
+}
+
+async function openSavedJob(jobId) {
+  const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || "Unexpected error.");
+  }
+
+  const { job } = data;
+  lastPayload = { url: job.url || "", text: job.url ? "" : job.jobText };
+  document.getElementById("job-url").value = job.url || "";
+  currentJobId = job.id;
+  renderResults(job.analysis);
+  renderCompany(data.company);
+  renderPosting(job.posting);
+  renderResumeReview(job.resumeReview);
+  refreshStoryMatches();
+  Object.entries(job.answers || {}).forEach(([question, saved]) => {
+    quizAnswers[question] = {
+      answer: saved.answer,
+      feedback: saved.feedback || undefined,
+      speech: saved.speech || undefined
+    };
+  });
+}
+
+async function loadAccount() {
+  const response = await fetch("/api/me");
+  const data = await response.json();
+  accountStatus.textContent = data.user
+    ? `Signed in as ${data.user.email}`
+    : "Sign in to save your practice.";
+  signedIn = Boolean(data.user);
+  if (data.user) {
+    await Promise.all([loadResume(), loadPracticeStats()]);
+  }
+}
+
+async function loadPracticeStats() {
+  const response = await fetch(`/api/practice?${new URLSearchParams({ timeZone })}`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || "Unexpected error.");
+  }
+
+  practiceCard.classList.remove("hidden");
+  practiceBtn.disabled = !data.dueToday;
+  practiceDue.textContent = data.total
+    ? `${data.dueToday} due today · ${data.total} questions in your deck`
+    : "Questions from every job you analyze while signed in are added here.";
+}
+
+async function fetchPracticeSession({ jobId, limit }) {
+  const params = new URLSearchParams({ limit: String(limit), timeZone });
+  if (jobId) params.set("jobId", jobId);
+  const response = await fetch(`/api/practice/session?${params}`);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || "Unexpected error.");
+  }
+  return data.cards;
+}
+
+async function rateQuizQuestion(confidence) {
+  const question = currentQuizQuestion();
+  if (!question) return;
+
+  try {
+    const response = await fetch("/api/practice/review", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ question, confidence, timeZone })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || "Unexpected error.");
+    }
+  } catch (err) {
+    setStatus(err.message || "Something went wrong.", "error");
+    return;
+  }
+
+  quizRatings[question] = confidence;
+  if (quizIndex < quizQuestions.length - 1) {
+    nextBtn.click();
+  } else {
+    exitQuiz();
+    setStatus("Session complete. Rated questions come back when they are due.", "info");
+  }
+}
+
+function renderResumeStatus() {
+  resumeControls.classList.remove("hidden");
+  resumeReviewBtn.disabled = !currentResume;
+  resumeStatus.textContent = currentResume
+    ? `Using ${currentResume.fileName || "your pasted resume"}, uploaded ${new Date(currentResume.uploadedAt).toLocaleDateString()}. Upload a new file to replace it.`
+    : "Upload your resume (PDF, Word, RTF or text) to find gaps against this role and practice questions about your projects.";
+}
+
+async function loadResume() {
+  const response = await fetch("/api/resume");
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || "Unexpected error.");
+  }
+  currentResume = data.resume;
+  renderResumeStatus();
+}
+
+async function uploadResume(file) {
+  const body = new FormData();
+  body.append("file", file);
+  const response = await fetch("/api/resume", { method: "POST", body });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || "Unexpected error.");
+  }
+
+  currentResume = data.resume;
+  renderResumeStatus();
+}
+
+async function requestResumeReview() {
+  const response = await fetch("/api/resume/review", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(currentJobId ? { jobId: currentJobId } : { analysis: lastAnalysis })
   });
 
   const data = await response.json();
@@ -160,7 +852,225 @@ async function analyzeJob(payload) {
     throw new Error(data.error || "Unexpected error.");
   }
 
-  return data.analysis;
+  return data.review;
+}
+
+function appendReviewSection(title, content) {
+  const section = document.createElement("div");
+  const heading = document.createElement("h4");
+  heading.textContent = title;
+  section.appendChild(heading);
+  section.appendChild(content);
+  resumeReview.appendChild(section);
+}
+
+function renderResumeReview(review) {
+  resumeReview.innerHTML = "";
+  resumeReview.classList.toggle("hidden", !review);
+  if (!review) return;
+
+  const summary = document.createElement("p");
+  summary.textContent = review.summary;
+  resumeReview.appendChild(summary);
+
+  if (review.gaps?.length) {
+    const list = document.createElement("ul");
+    review.gaps.forEach((gap) => {
+      const item = document.createElement("li");
+      const severity = document.createElement("span");
+      severity.className = `gap-severity ${gap.severity}`;
+      severity.textContent = gap.severity;
+      const area = document.createElement("strong");
+      area.textContent = gap.area;
+      item.append(severity, area, ` — ${gap.detail} ${gap.suggestion}`);
+      list.appendChild(item);
+    });
+    appendReviewSection("Gaps", list);
+  }
+  if (review.strengths?.length) {
+    appendReviewSection(
+      "Strengths",
+      createList(review.strengths.map((strength) => `${strength.area}: ${strength.evidence}`))
+    );
+  }
+  if (review.questions?.length) {
+    appendReviewSection(
+      "Likely follow-ups",
+      createList(review.questions.map((item) => `${item.project}: ${item.reason}`))
+    );
+  }
+}
+
+async function requestMoreQuestions() {
+  const response = await fetch("/api/questions/more", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ analysis: lastAnalysis, shown: lastQuestions })
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || "Unexpected error.");
+  }
+
+  return data.themes || [];
+}
+
+async function requestFeedback(question, answer) {
+  const response = await fetch("/api/feedback", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ question, answer, analysis: quizMode === "practice" ? null : lastAnalysis })
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || "Unexpected error.");
+  }
+
+  return data.feedback;
+}
+
+function streamError(data) {
+  const err = new Error(data?.error || "Unexpected error.");
+  err.code = data?.code;
+  return err;
+}
+
+async function streamEvents(url, payload, onEvent) {
+  const request =
+    payload instanceof FormData
+      ? { method: "POST", body: payload }
+      : { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(payload) };
+  const response = await fetch(url, request);
+
+  if (!response.ok) {
+    throw streamError(await response.json());
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary >= 0) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = block.match(/^event: (.*)$/m)?.[1] || "message";
+      const data = JSON.parse(block.match(/^data: (.*)$/m)?.[1] || "null");
+      if (event === "error") {
+        throw streamError(data);
+      }
+      onEvent(event, data);
+      boundary = buffer.indexOf("\n\n");
+    }
+  }
+}
+
+function appendInterviewTurn(turn, className = "") {
+  const bubble = document.createElement("div");
+  bubble.className = `interview-turn ${turn.role} ${className}`.trim();
+  const label = document.createElement("span");
+  label.className = "label";
+  label.textContent =
+    turn.role === "candidate" ? "You" : `${turn.kind === "follow_up" ? "Follow-up" : "Question"} · ${turn.theme}`;
+  bubble.append(label, turn.text);
+  interviewTranscript.appendChild(bubble);
+  interviewTranscript.scrollTop = interviewTranscript.scrollHeight;
+  return bubble;
+}
+
+function renderInterviewDebrief(debrief) {
+  interviewDebrief.innerHTML = "";
+  interviewDebrief.classList.remove("hidden");
+  interviewForm.classList.add("hidden");
+
+  const overall = document.createElement("p");
+  overall.textContent = debrief.overall;
+  const levelFit = document.createElement("p");
+  levelFit.textContent = debrief.level_fit;
+  interviewDebrief.append(overall, levelFit);
+
+  debrief.themes.forEach((item) => {
+    const section = document.createElement("div");
+    const heading = document.createElement("h4");
+    heading.textContent = `${item.theme} · ${item.score}/5`;
+    const summary = document.createElement("p");
+    summary.textContent = item.summary;
+    section.append(heading, summary);
+    if (item.went_well.length) section.appendChild(createList(item.went_well));
+    if (item.improve.length) section.appendChild(createList(item.improve.map((text) => `Improve: ${text}`)));
+    interviewDebrief.appendChild(section);
+  });
+}
+
+function handleInterviewEvent(event, data) {
+  if (event === "session") {
+    interviewId = data.id;
+  } else if (event === "turn") {
+    appendInterviewTurn(data);
+  } else if (event === "debrief") {
+    renderInterviewDebrief(data);
+  }
+}
+
+async function runInterviewStep(url, payload) {
+  const pending = appendInterviewTurn({ role: "interviewer", kind: "", theme: "", text: "Thinking..." }, "pending");
+  pending.querySelector(".label").remove();
+  interviewSendBtn.disabled = true;
+  interviewEndBtn.disabled = true;
+
+  try {
+    await streamEvents(url, payload, handleInterviewEvent);
+    return true;
+  } catch (err) {
+    setStatus(err.message || "Something went wrong.", "error");
+    return false;
+  } finally {
+    pending.remove();
+    interviewSendBtn.disabled = false;
+    interviewEndBtn.disabled = false;
+  }
+}
+
+async function startInterview() {
+  interviewId = null;
+  interviewTranscript.innerHTML = "";
+  interviewDebrief.innerHTML = "";
+  interviewDebrief.classList.add("hidden");
+  interviewForm.classList.remove("hidden");
+  interviewAnswer.value = "";
+  interviewModal.classList.remove("hidden");
+  const started = await runInterviewStep(
+    "/api/interview",
+    currentJobId ? { jobId: currentJobId } : { analysis: lastAnalysis }
+  );
+  if (!started) {
+    interviewModal.classList.add("hidden");
+  }
+}
+
+async function sendInterviewAnswer() {
+  const answer = interviewAnswer.value.trim();
+  if (!answer || !interviewId) return;
+
+  const bubble = appendInterviewTurn({ role: "candidate", text: answer });
+  interviewAnswer.value = "";
+  const sent = await runInterviewStep(`/api/interview/${encodeURIComponent(interviewId)}/turns`, { answer });
+  if (!sent) {
+    bubble.remove();
+    interviewAnswer.value = answer;
+  }
+}
+
+function closeInterview() {
+  const inProgress = interviewId && !interviewForm.classList.contains("hidden");
+  if (inProgress && !window.confirm("Leave the mock interview before the debrief?")) return;
+  interviewModal.classList.add("hidden");
 }
 
 const formSubmitBtn = form.querySelector('button[type="submit"]');
@@ -184,18 +1094,30 @@ form.addEventListener("submit", async (event) => {
 
   const url = document.getElementById("job-url").value.trim();
   const text = jobTextInput.value.trim();
-  if (!url && text.length < 200) {
-    setStatus("Please enter a job link or paste at least 200 characters of job text.", "error");
+  const file = jobFileInput.files[0] || null;
+  if (!url && text.length < 200 && !file) {
+    setStatus("Please enter a job link, paste at least 200 characters of job text or upload a file.", "error");
     return;
   }
 
-  setStatus("Analyzing job posting... This can take 15-30 seconds.");
+  setStatus("Analyzing job posting...");
   setButtonLoading(formSubmitBtn, true, "Generating...");
 
   try {
-    lastPayload = { url, text };
-    const analysis = await analyzeJob(lastPayload);
-    renderResults(analysis);
+    const options = { profile: roleProfileSelect.value, language: questionLanguageSelect.value };
+    lastPayload = file ? { file, ...options } : { url, text, ...options };
+    const data = await analyzeJob(lastPayload);
+    currentJobId = data.jobId || null;
+    const total = (data.analysis.themes || []).reduce((sum, block) => sum + (block.questions?.length || 0), 0);
+    if (total === lastQuestions.length) {
+      finishResults(data.analysis);
+    } else {
+      renderResults(data.analysis);
+    }
+    renderCompany(data.company);
+    renderPosting(data.posting);
+    renderResumeReview(null);
+    refreshStoryMatches();
     clearStatus();
   } catch (err) {
     setStatus(err.message || "Something went wrong.", "error");
@@ -205,18 +1127,28 @@ form.addEventListener("submit", async (event) => {
 });
 
 moreBtn.addEventListener("click", async () => {
-  if (!lastPayload) {
+  if (!lastAnalysis) {
     setStatus("Please generate questions first.", "error");
     return;
   }
 
   setStatus("Generating more questions...", "info");
   setButtonLoading(moreBtn, true, "Generating...");
+  trackEvent("more_questions");
   
   try {
-    const analysis = await analyzeJob(lastPayload);
-    renderResults(analysis);
-    clearStatus();
+    const themes = await requestMoreQuestions();
+    themes.forEach((themeBlock) => {
+      appendThemeQuestions(themeBlock.theme, themeBlock.questions);
+      mergeThemeQuestions(themeBlock.theme, themeBlock.questions);
+    });
+    if (themes.length) {
+      saveToJob("questions", { themes });
+      refreshStoryMatches();
+      clearStatus();
+    } else {
+      setStatus("No new questions this time. Try again in a moment.", "info");
+    }
   } catch (err) {
     setStatus(err.message || "Something went wrong.", "error");
   } finally {
@@ -224,12 +1156,181 @@ moreBtn.addEventListener("click", async () => {
   }
 });
 
+resumeFileInput.addEventListener("change", async () => {
+  const file = resumeFileInput.files[0];
+  if (!file) return;
+
+  setStatus("Reading your resume...", "info");
+  try {
+    await uploadResume(file);
+    clearStatus();
+  } catch (err) {
+    setStatus(err.message || "Something went wrong.", "error");
+  } finally {
+    resumeFileInput.value = "";
+  }
+});
+
+resumeReviewBtn.addEventListener("click", async () => {
+  if (!lastAnalysis) {
+    setStatus("Please generate questions first.", "error");
+    return;
+  }
+
+  setStatus("Comparing your resume with the role...", "info");
+  setButtonLoading(resumeReviewBtn, true, "Comparing...");
+
+  try {
+    const review = await requestResumeReview();
+    renderResumeReview(review);
+    const questions = (review.questions || [])
+      .map((item) => item.question)
+      .filter((question) => !lastQuestions.includes(question));
+    if (questions.length) {
+      appendThemeQuestions(RESUME_QUESTIONS_THEME, questions);
+      mergeThemeQuestions(RESUME_QUESTIONS_THEME, questions);
+      saveToJob("questions", { themes: [{ theme: RESUME_QUESTIONS_THEME, questions }] });
+      refreshStoryMatches();
+    }
+    clearStatus();
+  } catch (err) {
+    setStatus(err.message || "Something went wrong.", "error");
+  } finally {
+    setButtonLoading(resumeReviewBtn, false);
+  }
+});
+
 quizBtn.addEventListener("click", () => {
   startQuiz();
 });
 
+interviewBtn.addEventListener("click", () => {
+  if (!lastAnalysis) {
+    setStatus("Please generate questions first.", "error");
+    return;
+  }
+  startInterview();
+});
+
+interviewSendBtn.addEventListener("click", sendInterviewAnswer);
+
+async function exportResults(format) {
+  const payload = currentJobId
+    ? { jobId: currentJobId }
+    : { analysis: lastAnalysis, answers: quizAnswers, title: lastPostingTitle };
+  if (format === "ics") {
+    payload.interviewDate = interviewDateInput.value;
+    payload.timeZone = timeZone;
+  }
+
+  const response = await fetch(`/api/export/${format}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload)
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || "Export failed.");
+  }
+
+  const disposition = response.headers.get("Content-Disposition") || "";
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(await response.blob());
+  link.download = disposition.match(/filename="([^"]+)"/)?.[1] || "interview-prep";
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+exportButtons.forEach((button) => {
+  button.addEventListener("click", async () => {
+    if (!lastAnalysis) {
+      setStatus("Please generate questions first.", "error");
+      return;
+    }
+    if (button.dataset.export === "ics" && !interviewDateInput.value) {
+      setStatus("Pick your interview date first.", "error");
+      interviewDateInput.focus();
+      return;
+    }
+
+    setButtonLoading(button, true, "Exporting...");
+    try {
+      await exportResults(button.dataset.export);
+      clearStatus();
+    } catch (err) {
+      setStatus(err.message || "Export failed.", "error");
+    } finally {
+      setButtonLoading(button, false);
+    }
+  });
+});
+
+interviewEndBtn.addEventListener("click", () => {
+  if (!interviewId) return;
+  runInterviewStep(`/api/interview/${encodeURIComponent(interviewId)}/debrief`, {});
+});
+
+interviewCloseBtn.addEventListener("click", closeInterview);
+interviewModal.addEventListener("click", (event) => {
+  if (event.target?.dataset?.close === "true") {
+    closeInterview();
+  }
+});
+
+practiceBtn.addEventListener("click", () => {
+  startPractice().catch((err) => setStatus(err.message || "Something went wrong.", "error"));
+});
+
+confidenceButtons.forEach((btn) => {
+  btn.addEventListener("click", () => rateQuizQuestion(Number(btn.dataset.confidence)));
+});
+
+feedbackBtn.addEventListener("click", async () => {
+  const question = currentQuizQuestion();
+  const answer = quizAnswer.value.trim();
+  if (!question) return;
+  if (answer.length < 40) {
+    setStatus("Write at least a few sentences before asking for feedback.", "error");
+    return;
+  }
+
+  saveQuizAnswer();
+  setButtonLoading(feedbackBtn, true, "Scoring...");
+
+  try {
+    const feedback = await requestFeedback(question, answer);
+    quizAnswers[question] = { ...quizAnswers[question], answer, feedback };
+    if (currentQuizQuestion() === question) {
+      renderFeedback(feedback);
+    }
+    persistQuizAnswer(question);
+    clearStatus();
+  } catch (err) {
+    setStatus(err.message || "Something went wrong.", "error");
+  } finally {
+    setButtonLoading(feedbackBtn, false);
+  }
+});
+
+quizAnswer.addEventListener("input", saveQuizAnswer);
+
+recordBtn.addEventListener("click", async () => {
+  if (mediaRecorder) {
+    stopRecording();
+    return;
+  }
+
+  try {
+    await startRecording();
+  } catch (err) {
+    setStatus("Could not access the microphone. Check your browser permissions.", "error");
+  }
+});
+
 prevBtn.addEventListener("click", () => {
   if (!quizQuestions.length) return;
+  stopRecording();
+  persistQuizAnswer(currentQuizQuestion());
   quizIndex = (quizIndex - 1 + quizQuestions.length) % quizQuestions.length;
   quizSeconds = quizDuration;
   updateQuizQuestion();
@@ -238,6 +1339,8 @@ prevBtn.addEventListener("click", () => {
 
 nextBtn.addEventListener("click", () => {
   if (quizIndex >= quizQuestions.length - 1) return;
+  stopRecording();
+  persistQuizAnswer(currentQuizQuestion());
   quizIndex += 1;
   quizSeconds = quizDuration;
   updateQuizQuestion();
@@ -277,6 +1380,14 @@ timerButtons.forEach((btn) => {
   });
 });
 
-moreBtn.disabled = true;
-quizBtn.disabled = true;
+setResultActionsEnabled(false);
+if (!navigator.mediaDevices?.getUserMedia || !window.MediaRecorder) {
+  recordBtn.classList.add("hidden");
+}
 setActiveTimer(120);
+
+loadAccount().catch(() => {});
+const savedJobId = new URLSearchParams(window.location.search).get("job");
+if (savedJobId) {
+  openSavedJob(savedJobId).catch((err) => setStatus(err.message || "Something went wrong.", "error"));
+}
@@ -0,0 +1,141 @@
+const accountStatus = document.getElementById("account-status");
+const signOutBtn = document.getElementById("sign-out-btn");
+const authCard = document.getElementById("auth-card");
+const authForm = document.getElementById("auth-form");
+const emailInput = document.getElementById("auth-email");
+const passwordInput = document.getElementById("auth-password");
+const registerBtn = document.getElementById("register-btn");
+const magicBtn = document.getElementById("magic-btn");
+const statusBox = document.getElementById("status");
+const jobsCard = document.getElementById("jobs-card");
+const jobList = document.getElementById("job-list");
+const jobsEmpty = document.getElementById("jobs-empty");
+
+function setStatus(message, type = "info") {
+  statusBox.textContent = message;
+  statusBox.classList.remove("hidden", "error");
+  if (type === "error") {
+    statusBox.classList.add("error");
+  }
+}
+
+async function requestJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers }
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || "Unexpected error.");
+  }
+
+  return data;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" }) : "";
+}
+
+function renderJobs(jobs) {
+  jobList.innerHTML = "";
+  jobsEmpty.classList.toggle("hidden", jobs.length > 0);
+
+  jobs.forEach((job) => {
+    const item = document.createElement("li");
+    item.className = "job-item";
+
+    const info = document.createElement("div");
+    const link = document.createElement("a");
+    link.href = `/?job=${encodeURIComponent(job.id)}`;
+    link.textContent = job.title || "Untitled posting";
+    const meta = document.createElement("div");
+    meta.className = "job-meta";
+    const level = job.role_level.charAt(0).toUpperCase() + job.role_level.slice(1);
+    meta.textContent = [
+      level,
+      job.focus,
+      `${job.questionCount} questions`,
+      `${job.answerCount} answers`,
+      formatDate(job.createdAt)
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    info.append(link, meta);
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "secondary";
+    remove.textContent = "Delete";
+    remove.addEventListener("click", async () => {
+      if (!window.confirm("Delete this saved job and its answers?")) return;
+      try {
+        await requestJson(`/api/jobs/${encodeURIComponent(job.id)}`, { method: "DELETE" });
+        await loadJobs();
+      } catch (err) {
+        setStatus(err.message || "Something went wrong.", "error");
+      }
+    });
+
+    item.append(info, remove);
+    jobList.appendChild(item);
+  });
+}
+
+async function loadJobs() {
+  const { jobs } = await requestJson("/api/jobs");
+  renderJobs(jobs);
+}
+
+async function loadAccount() {
+  const { user } = await requestJson("/api/me");
+  authCard.classList.toggle("hidden", Boolean(user));
+  jobsCard.classList.toggle("hidden", !user);
+  signOutBtn.classList.toggle("hidden", !user);
+  accountStatus.textContent = user ? `Signed in as ${user.email}` : "";
+
+  if (user) {
+    await loadJobs();
+  }
+}
+
+async function submitCredentials(endpoint) {
+  try {
+    await requestJson(endpoint, {
+      method: "POST",
+      body: JSON.stringify({ email: emailInput.value, password: passwordInput.value })
+    });
+    await loadAccount();
+  } catch (err) {
+    setStatus(err.message || "Something went wrong.", "error");
+  }
+}
+
+authForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  submitCredentials("/api/auth/login");
+});
+
+registerBtn.addEventListener("click", () => {
+  submitCredentials("/api/auth/register");
+});
+
+magicBtn.addEventListener("click", async () => {
+  try {
+    await requestJson("/api/auth/magic-link", {
+      method: "POST",
+      body: JSON.stringify({ email: emailInput.value })
+    });
+    setStatus("Check your inbox for a sign-in link.");
+  } catch (err) {
+    setStatus(err.message || "Something went wrong.", "error");
+  }
+});
+
+signOutBtn.addEventListener("click", async () => {
+  await requestJson("/api/auth/logout", { method: "POST" });
+  await loadAccount();
+});
+
+loadAccount().catch((err) => setStatus(err.message || "Something went wrong.", "error"));
@@ -0,0 +1,159 @@
+const accountStatus = document.getElementById("account-status");
+const signedOut = document.getElementById("signed-out");
+const storyCard = document.getElementById("story-card");
+const storyForm = document.getElementById("story-form");
+const saveBtn = document.getElementById("story-save-btn");
+const cancelBtn = document.getElementById("story-cancel-btn");
+const storiesCard = document.getElementById("stories-card");
+const storyList = document.getElementById("story-list");
+const storiesEmpty = document.getElementById("stories-empty");
+const statusBox = document.getElementById("status");
+
+const STORY_FIELDS = ["situation", "task", "action", "result"];
+
+let editingId = null;
+
+function setStatus(message, type = "info") {
+  statusBox.textContent = message;
+  statusBox.classList.remove("hidden", "error");
+  if (type === "error") {
+    statusBox.classList.add("error");
+  }
+}
+
+function clearStatus() {
+  statusBox.textContent = "";
+  statusBox.classList.add("hidden");
+  statusBox.classList.remove("error");
+}
+
+async function requestJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers }
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.error || "Unexpected error.");
+  }
+
+  return data;
+}
+
+function splitTags(value) {
+  return value
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+}
+
+function resetForm() {
+  editingId = null;
+  storyForm.reset();
+  saveBtn.textContent = "Add story";
+  cancelBtn.classList.add("hidden");
+}
+
+function editStory(story) {
+  editingId = story.id;
+  storyForm.elements.title.value = story.title;
+  storyForm.elements.competencies.value = story.competencies.join(", ");
+  storyForm.elements.signals.value = story.signals.join(", ");
+  STORY_FIELDS.forEach((field) => {
+    storyForm.elements[field].value = story[field];
+  });
+  saveBtn.textContent = "Save story";
+  cancelBtn.classList.remove("hidden");
+  storyCard.scrollIntoView({ behavior: "smooth" });
+}
+
+function renderStories(stories) {
+  storyList.innerHTML = "";
+  storiesEmpty.classList.toggle("hidden", stories.length > 0);
+
+  stories.forEach((story) => {
+    const item = document.createElement("li");
+    item.className = "job-item";
+
+    const info = document.createElement("div");
+    const title = document.createElement("strong");
+    title.textContent = story.title;
+    const meta = document.createElement("div");
+    meta.className = "job-meta";
+    meta.textContent = [...story.competencies, ...story.signals].join(" · ") || "No tags yet";
+    info.append(title, meta);
+
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    const edit = document.createElement("button");
+    edit.type = "button";
+    edit.className = "secondary";
+    edit.textContent = "Edit";
+    edit.addEventListener("click", () => editStory(story));
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "secondary";
+    remove.textContent = "Delete";
+    remove.addEventListener("click", async () => {
+      if (!window.confirm("Delete this story?")) return;
+      try {
+        await requestJson(`/api/stories/${encodeURIComponent(story.id)}`, { method: "DELETE" });
+        if (editingId === story.id) resetForm();
+        await loadStories();
+      } catch (err) {
+        setStatus(err.message || "Something went wrong.", "error");
+      }
+    });
+    actions.append(edit, remove);
+
+    item.append(info, actions);
+    storyList.appendChild(item);
+  });
+}
+
+async function loadStories() {
+  const { stories } = await requestJson("/api/stories");
+  renderStories(stories);
+}
+
+async function loadAccount() {
+  const { user } = await requestJson("/api/me");
+  signedOut.classList.toggle("hidden", Boolean(user));
+  storyCard.classList.toggle("hidden", !user);
+  storiesCard.classList.toggle("hidden", !user);
+  accountStatus.textContent = user ? `Signed in as ${user.email}` : "";
+
+  if (user) {
+    await loadStories();
+  }
+}
+
+storyForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const story = {
+    title: storyForm.elements.title.value,
+    competencies: splitTags(storyForm.elements.competencies.value),
+    signals: splitTags(storyForm.elements.signals.value)
+  };
+  STORY_FIELDS.forEach((field) => {
+    story[field] = storyForm.elements[field].value;
+  });
+
+  try {
+    await requestJson(editingId ? `/api/stories/${encodeURIComponent(editingId)}` : "/api/stories", {
+      method: editingId ? "PUT" : "POST",
+      body: JSON.stringify(story)
+    });
+    resetForm();
+    clearStatus();
+    await loadStories();
+  } catch (err) {
+    setStatus(err.message || "Something went wrong.", "error");
+  }
+});
+
+cancelBtn.addEventListener("click", resetForm);
+
+loadAccount().catch((err) => setStatus(err.message || "Something went wrong.", "error"));
@@ -1,603 +1,5752 @@
 import "dotenv/config";
 
 import http from "http";
-import { readFile, writeFile } from "fs/promises";
-import { extname, join } from "path";
+import https from "https";
+import { createHash, randomBytes, randomUUID, scrypt, timingSafeEqual } from "crypto";
+import { lookup } from "dns";
+import { existsSync, mkdirSync, readFileSync, realpathSync } from "fs";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import { extname, isAbsolute, join, relative, resolve as resolvePath } from "path";
+import { BlockList, isIP } from "net";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { createBrotliDecompress, createGunzip, createInflate } from "zlib";
+import Database from "better-sqlite3";
+import mammoth from "mammoth";
+import { extractText, getDocumentProxy } from "unpdf";
 import { JSDOM } from "jsdom";
 import { Readability } from "@mozilla/readability";
 
 const PORT = process.env.PORT || 3000;
 const PUBLIC_DIR = join(process.cwd(), "public");
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const AZURE_OPENAI_ENDPOINT = process.env.AZURE_OPENAI_ENDPOINT;
+const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY;
+const AZURE_OPENAI_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT;
+const AZURE_OPENAI_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || "2024-10-21";
+const LOCAL_LLM_BASE_URL = process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1";
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY;
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || "openai").trim().toLowerCase();
+const LLM_MODEL = process.env.LLM_MODEL;
+const STT_PROVIDER = (process.env.STT_PROVIDER || "openai").trim().toLowerCase();
+const STT_MODEL = process.env.STT_MODEL || "whisper-1";
+const WHISPER_CPP_URL = process.env.WHISPER_CPP_URL || "http://localhost:8080/inference";
+const FETCH_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS || 10000);
+const FETCH_MAX_BYTES = Number(process.env.FETCH_MAX_MB || 5) * 1024 * 1024;
+const FETCH_MAX_REDIRECTS = 5;
+// Hosts exempt from the private-network check, e.g. "localhost" for a local test board.
+const FETCH_ALLOWED_HOSTS = (process.env.FETCH_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+const FETCH_USER_AGENT =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36";
+const RENDER_PROVIDER = (process.env.RENDER_PROVIDER || "none").trim().toLowerCase();
+const RENDER_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_MS || 15000);
+const JINA_FALLBACK = (process.env.JINA_FALLBACK || "true").trim().toLowerCase() !== "false";
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MIN_PASTED_TEXT_CHARS = 200;
+// Databases and mail live outside PUBLIC_DIR. Installs that predate DATA_DIR keep
+// using ./data.sqlite until DATABASE_PATH says otherwise.
+const DATA_DIR = resolvePath(process.env.DATA_DIR || join(process.cwd(), "data"));
+const LEGACY_DATABASE_PATH = join(process.cwd(), "data.sqlite");
+const DATABASE_PATH =
+  process.env.DATABASE_PATH || (existsSync(LEGACY_DATABASE_PATH) ? LEGACY_DATABASE_PATH : join(DATA_DIR, "data.sqlite"));
+// Legacy JSON stores, imported once into SQLite by migration 2.
 const ANALYTICS_PATH = join(process.cwd(), "analytics.json");
 const LINKS_PATH = join(process.cwd(), "job_links.json");
+const CACHE_PATH = join(process.cwd(), "analysis_cache.json");
+const ACCOUNTS_PATH = join(process.cwd(), "accounts.json");
+const SAVED_JOBS_PATH = join(process.cwd(), "saved_jobs.json");
+const JOB_TEXT_CACHE_TTL_MS = Number(process.env.JOB_TEXT_CACHE_TTL_HOURS || 24) * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+// Bump whenever ANALYSIS_PROMPT, SCHEMA_HINT, ROLE_PROFILES or the response schema change so stale analyses are not served.
+const PROMPT_VERSION = "4";
+const OUTBOX_DIR = join(DATA_DIR, "outbox");
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/+$/, "");
+const SESSION_COOKIE = "sid";
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+const LINKS_PAGE_LIMIT = 500;
+const AUDIT_PAGE_LIMIT = 200;
+const EXTRACTION_SAMPLE_CHARS = 2000;
+const ADMIN_USERS = parseAdminUsers(process.env.ADMIN_USERS);
+const ADMIN_ROLE_RANK = { viewer: 1, admin: 2 };
+const EVENT_RETENTION_DAYS = 365;
+const DASHBOARD_DAYS = 30;
+const CLIENT_EVENT_TYPES = ["quiz_start", "more_questions"];
 
-let analytics = {
-  totalVisits: 0,
-  lastUpdated: null
-};
-let jobLinks = [];
+function isInsideDir(path, dir) {
+  const rel = relative(dir, path);
+  return rel === "" || (!rel.startsWith("..") && !isAbsolute(rel));
+}
 
-async function loadAnalytics() {
-  try {
-    const raw = await readFile(ANALYTICS_PATH, "utf-8");
-    const parsed = JSON.parse(raw);
-    if (typeof parsed?.totalVisits === "number") {
-      analytics = {
-        totalVisits: parsed.totalVisits,
-        lastUpdated: parsed.lastUpdated || null
-      };
-    }
-  } catch {
-    // No analytics yet; start fresh.
+[DATA_DIR, DATABASE_PATH].forEach((path) => {
+  if (path !== ":memory:" && isInsideDir(resolvePath(path), PUBLIC_DIR)) {
+    throw new Error(`${path} is inside ${PUBLIC_DIR} and would be served. Move DATA_DIR or DATABASE_PATH.`);
   }
+});
+if (DATABASE_PATH !== ":memory:") {
+  mkdirSync(resolvePath(DATABASE_PATH, ".."), { recursive: true });
 }
 
-async function persistAnalytics() {
-  analytics.lastUpdated = new Date().toISOString();
-  await writeFile(ANALYTICS_PATH, `${JSON.stringify(analytics, null, 2)}\n`);
-}
+const db = new Database(DATABASE_PATH);
+db.pragma("journal_mode = WAL");
+db.pragma("foreign_keys = ON");
 
-async function loadJobLinks() {
+function readLegacyJson(path, fallback) {
   try {
-    const raw = await readFile(LINKS_PATH, "utf-8");
-    const parsed = JSON.parse(raw);
-    if (Array.isArray(parsed)) {
-      jobLinks = parsed;
-    }
+    return JSON.parse(readFileSync(path, "utf-8"));
   } catch {
-    // No links yet; start fresh.
+    return fallback;
   }
 }
 
-async function persistJobLinks() {
-  await writeFile(LINKS_PATH, `${JSON.stringify(jobLinks, null, 2)}\n`);
-}
-
-const MIME_TYPES = {
-  ".html": "text/html; charset=utf-8",
-  ".css": "text/css; charset=utf-8",
-  ".js": "application/javascript; charset=utf-8",
-  ".json": "application/json; charset=utf-8",
-  ".svg": "image/svg+xml",
-  ".ico": "image/x-icon"
-};
+function importLegacyJsonFiles(database) {
+  const legacyAnalytics = readLegacyJson(ANALYTICS_PATH, null);
+  if (typeof legacyAnalytics?.totalVisits === "number") {
+    database
+      .prepare(
+        `INSERT INTO analytics_counters (name, value, updated_at) VALUES ('total_visits', ?, ?)
+         ON CONFLICT(name) DO UPDATE SET value = value + excluded.value`
+      )
+      .run(legacyAnalytics.totalVisits, legacyAnalytics.lastUpdated || new Date().toISOString());
+  }
 
-const SYSTEM_PROMPT = `You are an interview coach for product and UX/UI designers.\nYou receive the raw text of a design job posting.\nExtract the role level (junior/mid/senior/lead/staff/director/unknown), role type (ic/manager/mixed/unknown), likely domain (b2b/consumer/enterprise/saas/unknown), and likely design focus.\nDetect and return key signals (tags) from the posting.\nThen generate 6-10 behavioral interview questions tailored to the role.\nQuestions must be behavioral (about past actions, decisions, tradeoffs, collaboration, ambiguity, impact).\nAvoid generic or fluffy questions.\nWrite questions in English and in a specific, senior-friendly style ("Tell me about a time...", "Describe a project...", "Give an example...").\nQuestions must be evidence-anchored: each theme should explicitly reflect the detected signals.\nIf the posting suggests platform, B2B/SaaS, design systems, or enterprise scope, make questions reflect that.\nGroup questions by theme.\nOutput JSON only.`;
+  const insertLink = database.prepare(
+    "INSERT INTO job_links (title, url, created_at, created_at_ms) VALUES (?, ?, ?, ?)"
+  );
+  const legacyLinks = readLegacyJson(LINKS_PATH, []);
+  (Array.isArray(legacyLinks) ? legacyLinks : [])
+    .filter((item) => item?.url)
+    .forEach((item) => {
+      const createdAtMs = item.createdAtMs || Date.parse(item.createdAt) || Date.now();
+      insertLink.run(item.title || null, item.url, new Date(createdAtMs).toISOString(), createdAtMs);
+    });
 
-const SCHEMA_HINT = `Return a JSON object with keys:\n- role_level: one of ["junior","mid","senior","lead","staff","director","unknown"]\n- role_type: one of ["ic","manager","mixed","unknown"]\n- domain: one of ["b2b","consumer","enterprise","saas","unknown"]\n- focus: short string like "product design", "ux/ui", "design systems", "research-heavy", "growth", "enterprise", "consumer", etc.\n- signals: array of 3-10 strings (keywords/tags extracted from the posting)\n- themes: array of objects with keys:\n  - theme: short label like "Strategy & Problem Framing", "End-to-End Execution", "Design Systems & Visual Language", "Collaboration & Influence", "Ambiguity & Tradeoffs", "Impact & Metrics"\n  - questions: array of 1-3 strings\nTotal questions across all themes must be 6-10.`;
+  const legacyCache = readLegacyJson(CACHE_PATH, {});
+  const insertText = database.prepare(
+    "INSERT OR REPLACE INTO job_text_cache (url, text, method, cached_at_ms) VALUES (?, ?, ?, ?)"
+  );
+  Object.entries(legacyCache?.jobTexts || {}).forEach(([url, entry]) => {
+    if (entry?.text) insertText.run(url, entry.text, entry.method || null, entry.cachedAtMs || 0);
+  });
+  const insertAnalysis = database.prepare(
+    "INSERT OR REPLACE INTO analyses (cache_key, analysis_json, created_at_ms) VALUES (?, ?, ?)"
+  );
+  Object.entries(legacyCache?.analyses || {}).forEach(([key, entry]) => {
+    if (entry?.analysis) insertAnalysis.run(key, JSON.stringify(entry.analysis), entry.cachedAtMs || 0);
+  });
 
-function sendJson(res, status, payload) {
-  const body = JSON.stringify(payload);
-  res.writeHead(status, {
-    "Content-Type": "application/json; charset=utf-8",
-    "Content-Length": Buffer.byteLength(body)
+  const legacyAccounts = readLegacyJson(ACCOUNTS_PATH, {});
+  const insertUser = database.prepare(
+    "INSERT OR IGNORE INTO users (id, email, password_hash, created_at) VALUES (?, ?, ?, ?)"
+  );
+  (legacyAccounts?.users || []).forEach((user) => {
+    insertUser.run(user.id, user.email, user.passwordHash || null, user.createdAt || new Date().toISOString());
+  });
+  const insertSession = database.prepare(
+    "INSERT OR IGNORE INTO sessions (token_hash, user_id, created_at_ms, expires_at_ms) VALUES (?, ?, ?, ?)"
+  );
+  (legacyAccounts?.sessions || []).forEach((session) => {
+    insertSession.run(session.tokenHash, session.userId, session.createdAtMs, session.expiresAtMs);
   });
-  res.end(body);
-}
 
-function sendHtml(res, status, html) {
-  res.writeHead(status, {
-    "Content-Type": "text/html; charset=utf-8",
-    "Content-Length": Buffer.byteLength(html)
+  const insertJob = database.prepare(
+    `INSERT OR IGNORE INTO saved_jobs
+       (id, user_id, title, url, job_text, parse_json, analysis_json, created_at, created_at_ms, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  const insertAnswer = database.prepare(
+    `INSERT OR REPLACE INTO job_answers (job_id, question, answer, feedback_json, speech_json, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  );
+  const legacyJobs = readLegacyJson(SAVED_JOBS_PATH, []);
+  (Array.isArray(legacyJobs) ? legacyJobs : []).forEach((job) => {
+    insertJob.run(
+      job.id,
+      job.userId,
+      job.title || null,
+      job.url || null,
+      job.jobText || "",
+      JSON.stringify(job.parse || {}),
+      JSON.stringify(job.analysis || {}),
+      job.createdAt,
+      job.createdAtMs,
+      job.updatedAt || job.createdAt
+    );
+    Object.entries(job.answers || {}).forEach(([question, saved]) => {
+      insertAnswer.run(
+        job.id,
+        question,
+        saved.answer || "",
+        saved.feedback ? JSON.stringify(saved.feedback) : null,
+        saved.speech ? JSON.stringify(saved.speech) : null,
+        saved.updatedAt || job.updatedAt || job.createdAt
+      );
+    });
   });
-  res.end(html);
 }
 
-function isValidHttpUrl(value) {
-  try {
-    const url = new URL(value);
-    return url.protocol === "http:" || url.protocol === "https:";
-  } catch {
-    return false;
+const MIGRATIONS = [
+  {
+    id: 1,
+    name: "initial schema",
+    up: (database) =>
+      database.exec(`
+        CREATE TABLE analytics_counters (
+          name TEXT PRIMARY KEY,
+          value INTEGER NOT NULL DEFAULT 0,
+          updated_at TEXT
+        );
+        CREATE TABLE job_links (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT,
+          url TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          created_at_ms INTEGER NOT NULL
+        );
+        CREATE INDEX job_links_created_at_ms ON job_links (created_at_ms);
+        CREATE TABLE job_text_cache (
+          url TEXT PRIMARY KEY,
+          text TEXT NOT NULL,
+          method TEXT,
+          cached_at_ms INTEGER NOT NULL
+        );
+        CREATE TABLE analyses (
+          cache_key TEXT PRIMARY KEY,
+          analysis_json TEXT NOT NULL,
+          created_at_ms INTEGER NOT NULL
+        );
+        CREATE INDEX analyses_created_at_ms ON analyses (created_at_ms);
+        CREATE TABLE users (
+          id TEXT PRIMARY KEY,
+          email TEXT NOT NULL UNIQUE,
+          password_hash TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE TABLE sessions (
+          token_hash TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+          created_at_ms INTEGER NOT NULL,
+          expires_at_ms INTEGER NOT NULL
+        );
+        CREATE TABLE magic_links (
+          token_hash TEXT PRIMARY KEY,
+          email TEXT NOT NULL,
+          expires_at_ms INTEGER NOT NULL
+        );
+        CREATE TABLE saved_jobs (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+          title TEXT,
+          url TEXT,
+          job_text TEXT NOT NULL,
+          parse_json TEXT NOT NULL,
+          analysis_json TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          created_at_ms INTEGER NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX saved_jobs_user_id ON saved_jobs (user_id, created_at_ms);
+        CREATE TABLE job_answers (
+          job_id TEXT NOT NULL REFERENCES saved_jobs (id) ON DELETE CASCADE,
+          question TEXT NOT NULL,
+          answer TEXT NOT NULL,
+          feedback_json TEXT,
+          speech_json TEXT,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (job_id, question)
+        );
+      `)
+  },
+  {
+    id: 2,
+    name: "import legacy json files",
+    up: importLegacyJsonFiles
+  },
+  {
+    id: 3,
+    name: "admin audit log",
+    up: (database) =>
+      database.exec(`
+        CREATE TABLE admin_audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT,
+          role TEXT,
+          action TEXT NOT NULL,
+          path TEXT NOT NULL,
+          ip TEXT,
+          user_agent TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX admin_audit_log_created_at ON admin_audit_log (created_at);
+      `)
+  },
+  {
+    id: 4,
+    name: "analytics events",
+    up: (database) =>
+      database.exec(`
+        CREATE TABLE events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL,
+          visitor_id TEXT,
+          props_json TEXT NOT NULL DEFAULT '{}',
+          day TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX events_day_type ON events (day, type);
+        CREATE TABLE visitor_salts (
+          day TEXT PRIMARY KEY,
+          salt TEXT NOT NULL
+        );
+      `)
+  },
+  {
+    id: 5,
+    name: "extraction reports",
+    up: (database) =>
+      database.exec(`
+        CREATE TABLE extraction_reports (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          host TEXT NOT NULL,
+          url TEXT NOT NULL,
+          ok INTEGER NOT NULL,
+          method TEXT,
+          length INTEGER NOT NULL DEFAULT 0,
+          latency_ms INTEGER NOT NULL,
+          attempts_json TEXT NOT NULL,
+          error TEXT,
+          sample_text TEXT,
+          created_at TEXT NOT NULL,
+          created_at_ms INTEGER NOT NULL
+        );
+        CREATE INDEX extraction_reports_host ON extraction_reports (host, created_at_ms);
+      `)
+  },
+  {
+    id: 6,
+    name: "structured job postings",
+    up: (database) =>
+      database.exec(`
+        ALTER TABLE job_text_cache ADD COLUMN posting_json TEXT;
+        ALTER TABLE saved_jobs ADD COLUMN posting_json TEXT;
+      `)
+  },
+  {
+    id: 7,
+    name: "resumes",
+    up: (database) =>
+      database.exec(`
+        CREATE TABLE resumes (
+          user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+          file_name TEXT,
+          method TEXT NOT NULL,
+          resume_text TEXT NOT NULL,
+          posting_json TEXT NOT NULL,
+          uploaded_at TEXT NOT NULL
+        );
+        ALTER TABLE saved_jobs ADD COLUMN resume_review_json TEXT;
+      `)
+  },
+  {
+    id: 8,
+    name: "story bank",
+    up: (database) =>
+      database.exec(`
+        CREATE TABLE stories (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          title TEXT NOT NULL,
+          situation TEXT NOT NULL,
+          task TEXT NOT NULL,
+          action TEXT NOT NULL,
+          result TEXT NOT NULL,
+          competencies_json TEXT NOT NULL,
+          signals_json TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_stories_user ON stories(user_id, updated_at);
+      `)
+  },
+  {
+    id: 9,
+    name: "practice deck",
+    up: (database) => {
+      database.exec(`
+        CREATE TABLE practice_cards (
+          user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          question TEXT NOT NULL,
+          job_id TEXT REFERENCES saved_jobs(id) ON DELETE CASCADE,
+          theme TEXT,
+          ease REAL NOT NULL DEFAULT 2.5,
+          interval_days INTEGER NOT NULL DEFAULT 0,
+          repetitions INTEGER NOT NULL DEFAULT 0,
+          due_day TEXT NOT NULL,
+          last_confidence INTEGER,
+          reviewed_at TEXT,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (user_id, question)
+        );
+        CREATE INDEX idx_practice_cards_due ON practice_cards(user_id, due_day);
+      `);
+      database
+        .prepare("SELECT id, user_id, analysis_json FROM saved_jobs ORDER BY created_at_ms")
+        .all()
+        .forEach((row) => {
+          addPracticeCards(database, row.user_id, row.id, parseJsonColumn(row.analysis_json, {}).themes);
+        });
+    }
+  },
+  {
+    id: 10,
+    name: "mock interviews",
+    up: (database) =>
+      database.exec(`
+        CREATE TABLE mock_interviews (
+          id TEXT PRIMARY KEY,
+          user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+          job_id TEXT REFERENCES saved_jobs(id) ON DELETE SET NULL,
+          analysis_json TEXT NOT NULL,
+          plan_json TEXT NOT NULL,
+          turns_json TEXT NOT NULL,
+          debrief_json TEXT,
+          status TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+      `)
+  },
+  {
+    id: 11,
+    name: "company profiles",
+    up: (database) => {
+      database.exec(`
+        CREATE TABLE company_profiles (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          hosts_json TEXT NOT NULL,
+          aliases_json TEXT NOT NULL,
+          values_json TEXT NOT NULL,
+          principles_json TEXT NOT NULL,
+          loop_json TEXT NOT NULL,
+          notes TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          updated_by TEXT
+        );
+      `);
+      COMPANY_PROFILE_SEEDS.forEach((company) => saveCompanyProfile(company, null, database));
+    }
+  },
+  {
+    id: 12,
+    name: "admin audit status",
+    up: (database) => database.exec("ALTER TABLE admin_audit_log ADD COLUMN status INTEGER")
   }
-}
+];
 
-function decodeEntities(text) {
-  return text
-    .replaceAll("&nbsp;", " ")
-    .replaceAll("&amp;", "&")
-    .replaceAll("&quot;", "\"")
-    .replaceAll("&#39;", "'")
-    .replaceAll("&lt;", "<")
-    .replaceAll("&gt;", ">")
-    .replaceAll(/\s+/g, " ")
-    .trim();
+function runMigrations() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+  const applied = new Set(db.prepare("SELECT id FROM schema_migrations").pluck().all());
+
+  MIGRATIONS.filter((migration) => !applied.has(migration.id)).forEach((migration) => {
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare("INSERT INTO schema_migrations (id, name, applied_at) VALUES (?, ?, ?)").run(
+        migration.id,
+        migration.name,
+        new Date().toISOString()
+      );
+    })();
+    console.log(`Applied migration ${migration.id}: ${migration.name}`);
+  });
 }
 
-function extractTextFromHtml(html) {
-  const noScripts = html.replace(/<script[\s\S]*?<\/script>/gi, " ");
-  const noStyles = noScripts.replace(/<style[\s\S]*?<\/style>/gi, " ");
-  const noNoscript = noStyles.replace(/<noscript[\s\S]*?<\/noscript>/gi, " ");
-  const noTags = noNoscript.replace(/<[^>]+>/g, " ");
-  return decodeEntities(noTags);
+function parseJsonColumn(value, fallback) {
+  return value ? safeJsonParse(value) ?? fallback : fallback;
 }
 
-function safeJsonParse(raw) {
-  try {
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
+function recordVisit() {
+  db.prepare(
+    `INSERT INTO analytics_counters (name, value, updated_at) VALUES ('total_visits', 1, ?)
+     ON CONFLICT(name) DO UPDATE SET value = value + 1, updated_at = excluded.updated_at`
+  ).run(new Date().toISOString());
 }
 
-function extractJsonLdJobPosting(document) {
-  const scripts = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
-  const candidates = [];
+function getVisitStats() {
+  const row = db.prepare("SELECT value, updated_at FROM analytics_counters WHERE name = 'total_visits'").get();
+  return { totalVisits: row?.value || 0, lastUpdated: row?.updated_at || null };
+}
 
-  scripts.forEach((script) => {
-    const parsed = safeJsonParse(script.textContent || "");
-    if (!parsed) return;
-    if (Array.isArray(parsed)) {
-      candidates.push(...parsed);
-    } else if (parsed && typeof parsed === "object") {
-      if (Array.isArray(parsed["@graph"])) {
-        candidates.push(...parsed["@graph"]);
-      } else {
-        candidates.push(parsed);
-      }
-    }
-  });
+function recordJobLink(url) {
+  const now = new Date();
+  db.prepare("INSERT INTO job_links (title, url, created_at, created_at_ms) VALUES (?, ?, ?, ?)").run(
+    new URL(url).hostname,
+    url,
+    now.toISOString(),
+    now.getTime()
+  );
+}
 
-  const jobPosting = candidates.find((item) => {
-    const type = item?.["@type"];
-    if (Array.isArray(type)) return type.includes("JobPosting");
-    return type === "JobPosting";
-  });
+function countJobLinks() {
+  return db.prepare("SELECT COUNT(*) FROM job_links").pluck().get();
+}
 
-  if (!jobPosting) return null;
+function listJobLinks(limit) {
+  return db
+    .prepare("SELECT title, url, created_at AS createdAt FROM job_links ORDER BY created_at_ms DESC LIMIT ?")
+    .all(limit);
+}
 
-  const parts = [
-    jobPosting.title,
-    jobPosting.description,
-    jobPosting.responsibilities,
-    jobPosting.qualifications,
-    jobPosting.experienceRequirements,
-    jobPosting.skills
-  ]
-    .filter(Boolean)
-    .map((part) => {
-      const value = String(part);
-      return value.includes("<") ? extractTextFromHtml(value) : value;
-    });
+function normalizeCacheUrl(value) {
+  const url = new URL(value);
+  url.hash = "";
+  Array.from(url.searchParams.keys())
+    .filter((key) => key.toLowerCase().startsWith("utm_"))
+    .forEach((key) => url.searchParams.delete(key));
+  return url.toString();
+}
 
-  const text = parts.join("\n\n");
-  return text ? normalizeJobText(text) : null;
+function getCachedJobText(url) {
+  const row = db
+    .prepare("SELECT text, method, posting_json, cached_at_ms FROM job_text_cache WHERE url = ?")
+    .get(normalizeCacheUrl(url));
+  // Rows cached before postings were structured have no posting_json; refetch those.
+  if (!row?.posting_json || Date.now() - row.cached_at_ms > JOB_TEXT_CACHE_TTL_MS) return null;
+  return {
+    text: row.text,
+    method: row.method,
+    posting: parseJsonColumn(row.posting_json, null),
+    cachedAtMs: row.cached_at_ms
+  };
 }
 
-function extractMetaDescription(document) {
-  const meta =
-    document.querySelector('meta[property="og:description"]') ||
-    document.querySelector('meta[name="twitter:description"]') ||
-    document.querySelector('meta[name="description"]');
+function setCachedJobText(url, parsed) {
+  db.prepare(
+    "INSERT OR REPLACE INTO job_text_cache (url, text, method, posting_json, cached_at_ms) VALUES (?, ?, ?, ?, ?)"
+  ).run(normalizeCacheUrl(url), parsed.text, parsed.method || null, JSON.stringify(parsed.posting), Date.now());
+}
 
-  const content = meta?.getAttribute("content");
-  return content ? normalizeJobText(content) : null;
+function getCachedAnalysis(cacheKey) {
+  const row = db.prepare("SELECT analysis_json FROM analyses WHERE cache_key = ?").get(cacheKey);
+  return row ? parseJsonColumn(row.analysis_json, null) : null;
 }
 
-function extractFromAshby(document) {
-  const script = document.querySelector('script#__NEXT_DATA__');
-  if (!script?.textContent) return null;
-  const parsed = safeJsonParse(script.textContent);
-  const job =
-    parsed?.props?.pageProps?.job ||
-    parsed?.props?.pageProps?.posting ||
-    parsed?.props?.pageProps?.data?.job;
+function setCachedAnalysis(cacheKey, analysis) {
+  db.prepare("INSERT OR REPLACE INTO analyses (cache_key, analysis_json, created_at_ms) VALUES (?, ?, ?)").run(
+    cacheKey,
+    JSON.stringify(analysis),
+    Date.now()
+  );
+}
 
-  if (!job) return null;
-  const html = job?.descriptionHtml || job?.description || job?.descriptionHTML;
-  if (!html) return null;
-  return normalizeJobText(extractTextFromHtml(String(html)));
+function pruneCache() {
+  db.prepare("DELETE FROM job_text_cache WHERE cached_at_ms < ?").run(Date.now() - JOB_TEXT_CACHE_TTL_MS);
+  db.prepare(
+    `DELETE FROM analyses WHERE cache_key NOT IN (
+       SELECT cache_key FROM analyses ORDER BY created_at_ms DESC LIMIT ?
+     )`
+  ).run(CACHE_MAX_ENTRIES);
 }
 
-function extractFromLever(document, html) {
-  const posting = document.querySelector(".posting") || document.querySelector(".posting-page");
-  if (posting) return normalizeJobText(posting.textContent || "");
+function getAnalysisCacheKey(jobText, profileId, language, company) {
+  const provider = getLlmProvider();
+  const normalized = (jobText || "").toLowerCase().replace(/\s+/g, " ").trim();
+  return createHash("sha256")
+    .update(
+      `${PROMPT_VERSION}\n${provider.name}:${provider.model}\n${profileId}:${language}\n${
+        company ? `${company.id}@${company.updatedAt}` : "-"
+      }\n${normalized}`
+    )
+    .digest("hex");
+}
 
-  const match = html.match(/window\.__lever__\s*=\s*(\{[\s\S]*?\});/);
-  if (!match) return null;
-  const parsed = safeJsonParse(match[1]);
-  const text = parsed?.posting?.text || parsed?.posting?.description;
-  return text ? normalizeJobText(String(text)) : null;
+function rowToUser(row) {
+  return row
+    ? { id: row.id, email: row.email, passwordHash: row.password_hash, createdAt: row.created_at }
+    : null;
 }
 
-function extractFromGreenhouse(document) {
-  const content =
-    document.querySelector("#content") ||
-    document.querySelector(".content") ||
-    document.querySelector("main");
-  if (!content) return null;
-  return normalizeJobText(content.textContent || "");
+function findUserByEmail(email) {
+  return rowToUser(db.prepare("SELECT * FROM users WHERE email = ?").get(email));
 }
 
-function extractFromWorkday(document, html) {
-  const script = Array.from(document.querySelectorAll('script[type="application/json"]')).find(
-    (item) => item.textContent && item.textContent.includes("jobPostingInfo")
+function findOrCreateUser(email) {
+  db.prepare("INSERT OR IGNORE INTO users (id, email, password_hash, created_at) VALUES (?, ?, NULL, ?)").run(
+    randomUUID(),
+    email,
+    new Date().toISOString()
   );
-  if (script?.textContent) {
-    const parsed = safeJsonParse(script.textContent);
-    const job = parsed?.jobPostingInfo || parsed?.data?.jobPostingInfo;
-    const description = job?.jobDescription || job?.jobDescriptionHtml;
-    if (description) return normalizeJobText(extractTextFromHtml(String(description)));
-  }
+  return findUserByEmail(email);
+}
 
-  const text = extractTextFromHtml(html);
-  return text ? normalizeJobText(text) : null;
+function setUserPassword(userId, passwordHash) {
+  db.prepare("UPDATE users SET password_hash = ? WHERE id = ?").run(passwordHash, userId);
 }
 
-function extractFromATS(document, html, url) {
-  const hostname = url ? new URL(url).hostname : "";
+function insertSession(tokenHash, userId) {
+  const now = Date.now();
+  db.prepare("DELETE FROM sessions WHERE expires_at_ms <= ?").run(now);
+  db.prepare("INSERT INTO sessions (token_hash, user_id, created_at_ms, expires_at_ms) VALUES (?, ?, ?, ?)").run(
+    tokenHash,
+    userId,
+    now,
+    now + SESSION_TTL_MS
+  );
+}
 
-  if (hostname.includes("ashbyhq.com")) {
-    const text = extractFromAshby(document);
-    if (text) return { text, method: "ats-ashby" };
-  }
+function findSessionUser(tokenHash) {
+  return rowToUser(
+    db
+      .prepare(
+        `SELECT users.* FROM sessions JOIN users ON users.id = sessions.user_id
+         WHERE sessions.token_hash = ? AND sessions.expires_at_ms > ?`
+      )
+      .get(tokenHash, Date.now())
+  );
+}
 
-  if (hostname.includes("lever.co")) {
-    const text = extractFromLever(document, html);
-    if (text) return { text, method: "ats-lever" };
-  }
+function deleteSession(tokenHash) {
+  db.prepare("DELETE FROM sessions WHERE token_hash = ?").run(tokenHash);
+}
 
-  if (hostname.includes("greenhouse.io")) {
-    const text = extractFromGreenhouse(document);
-    if (text) return { text, method: "ats-greenhouse" };
-  }
+function insertMagicLink(tokenHash, email) {
+  const now = Date.now();
+  db.prepare("DELETE FROM magic_links WHERE expires_at_ms <= ?").run(now);
+  db.prepare("INSERT INTO magic_links (token_hash, email, expires_at_ms) VALUES (?, ?, ?)").run(
+    tokenHash,
+    email,
+    now + MAGIC_LINK_TTL_MS
+  );
+}
 
-  if (hostname.includes("myworkdayjobs.com") || hostname.includes("workday")) {
-    const text = extractFromWorkday(document, html);
-    if (text) return { text, method: "ats-workday" };
-  }
+function consumeMagicLink(tokenHash) {
+  const row = db
+    .prepare("DELETE FROM magic_links WHERE token_hash = ? AND expires_at_ms > ? RETURNING email")
+    .get(tokenHash, Date.now());
+  return row?.email || null;
+}
 
-  return null;
+function rowToSavedJob(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    title: row.title,
+    url: row.url,
+    jobText: row.job_text,
+    posting: parseJsonColumn(row.posting_json, null),
+    parse: parseJsonColumn(row.parse_json, {}),
+    analysis: parseJsonColumn(row.analysis_json, { themes: [] }),
+    resumeReview: parseJsonColumn(row.resume_review_json, null),
+    createdAt: row.created_at,
+    createdAtMs: row.created_at_ms,
+    updatedAt: row.updated_at
+  };
 }
 
-function extractWithReadability(html, url) {
-  const dom = new JSDOM(html, { url });
-  const reader = new Readability(dom.window.document);
-  const article = reader.parse();
-  if (!article?.textContent) return null;
-  return normalizeJobText(article.textContent);
+function insertSavedJob(job) {
+  db.prepare(
+    `INSERT INTO saved_jobs
+       (id, user_id, title, url, job_text, posting_json, parse_json, analysis_json, created_at, created_at_ms, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    job.id,
+    job.userId,
+    job.title,
+    job.url,
+    job.jobText,
+    JSON.stringify(job.posting),
+    JSON.stringify(job.parse),
+    JSON.stringify(job.analysis),
+    job.createdAt,
+    job.createdAtMs,
+    job.updatedAt
+  );
+  addPracticeCards(db, job.userId, job.id, job.analysis?.themes);
 }
 
-function parseJobTextFromHtml({ html, url, sourceLabel = "direct" }) {
-  const dom = new JSDOM(html, { url });
-  const document = dom.window.document;
+function listSavedJobs(userId) {
+  return db
+    .prepare(
+      `SELECT saved_jobs.*, (SELECT COUNT(*) FROM job_answers WHERE job_answers.job_id = saved_jobs.id) AS answer_count
+       FROM saved_jobs WHERE user_id = ? ORDER BY created_at_ms DESC`
+    )
+    .all(userId)
+    .map((row) => ({ ...rowToSavedJob(row), answerCount: row.answer_count }));
+}
 
-  const jsonLd = extractJsonLdJobPosting(document);
-  if (jsonLd && jsonLd.length >= 200) {
-    return { text: jsonLd, method: "jsonld" };
-  }
+function getSavedJob(jobId, userId) {
+  const row = db.prepare("SELECT * FROM saved_jobs WHERE id = ? AND user_id = ?").get(jobId, userId);
+  if (!row) return null;
 
-  const ats = extractFromATS(document, html, url);
-  if (ats?.text && ats.text.length >= 200) {
-    return ats;
-  }
+  const answers = Object.fromEntries(
+    db
+      .prepare("SELECT * FROM job_answers WHERE job_id = ?")
+      .all(jobId)
+      .map((answer) => [
+        answer.question,
+        {
+          answer: answer.answer,
+          feedback: parseJsonColumn(answer.feedback_json, null),
+          speech: parseJsonColumn(answer.speech_json, null),
+          updatedAt: answer.updated_at
+        }
+      ])
+  );
+  return { ...rowToSavedJob(row), answers, answerCount: Object.keys(answers).length };
+}
 
-  const readability = extractWithReadability(html, url);
-  if (readability && readability.length >= 200) {
-    return { text: readability, method: "readability" };
-  }
+function updateSavedJobAnalysis(jobId, analysis) {
+  db.prepare("UPDATE saved_jobs SET analysis_json = ?, updated_at = ? WHERE id = ?").run(
+    JSON.stringify(analysis),
+    new Date().toISOString(),
+    jobId
+  );
+}
 
-  const meta = extractMetaDescription(document);
-  if (meta && meta.length >= 200) {
-    return { text: meta, method: "meta" };
-  }
+function updateSavedJobResumeReview(jobId, review) {
+  db.prepare("UPDATE saved_jobs SET resume_review_json = ?, updated_at = ? WHERE id = ?").run(
+    JSON.stringify(review),
+    new Date().toISOString(),
+    jobId
+  );
+}
 
-  const plain = normalizeJobText(extractTextFromHtml(html));
-  return { text: plain, method: sourceLabel };
+function upsertJobAnswer(jobId, question, { answer, feedback, speech }) {
+  const updatedAt = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare(
+      `INSERT OR REPLACE INTO job_answers (job_id, question, answer, feedback_json, speech_json, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(
+      jobId,
+      question,
+      answer,
+      feedback ? JSON.stringify(feedback) : null,
+      speech ? JSON.stringify(speech) : null,
+      updatedAt
+    );
+    db.prepare("UPDATE saved_jobs SET updated_at = ? WHERE id = ?").run(updatedAt, jobId);
+  })();
 }
 
-async function fetchJobText(url) {
-  const response = await fetch(url, {
-    headers: {
-      "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36",
-      "Accept": "text/html,application/xhtml+xml"
-    }
-  });
+function deleteSavedJob(jobId) {
+  db.prepare("DELETE FROM saved_jobs WHERE id = ?").run(jobId);
+}
 
-  if (response.ok) {
-    const html = await response.text();
-    const parsed = parseJobTextFromHtml({ html, url, sourceLabel: "direct" });
-    if (parsed?.text && parsed.text.length >= 200) {
-      return { text: parsed.text.slice(0, 12000), method: parsed.method };
-    }
-  }
+function getResume(userId) {
+  const row = db.prepare("SELECT * FROM resumes WHERE user_id = ?").get(userId);
+  if (!row) return null;
+  return {
+    fileName: row.file_name,
+    method: row.method,
+    text: row.resume_text,
+    posting: parseJsonColumn(row.posting_json, null),
+    uploadedAt: row.uploaded_at
+  };
+}
 
-  const jinaUrl = url.startsWith("https://")
-    ? `https://r.jina.ai/https://${url.slice("https://".length)}`
-    : `https://r.jina.ai/http://${url.slice("http://".length)}`;
-  const jinaResponse = await fetch(jinaUrl);
-  if (jinaResponse.ok) {
-    const jinaText = await jinaResponse.text();
-    const normalized = normalizeJobText(jinaText);
-    if (normalized && normalized.length >= 200) {
-      return { text: normalized.slice(0, 12000), method: "jina" };
-    }
-  }
+function saveResume(userId, resume) {
+  db.prepare(
+    `INSERT OR REPLACE INTO resumes (user_id, file_name, method, resume_text, posting_json, uploaded_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  ).run(
+    userId,
+    resume.fileName,
+    resume.method,
+    resume.text,
+    JSON.stringify(resume.posting),
+    new Date().toISOString()
+  );
+}
 
-  const doubleJinaUrl = url.startsWith("https://")
-    ? `https://r.jina.ai/http://r.jina.ai/https://${url.slice("https://".length)}`
-    : `https://r.jina.ai/http://r.jina.ai/http://${url.slice("http://".length)}`;
-  const doubleResponse = await fetch(doubleJinaUrl);
-  if (!doubleResponse.ok) {
-    throw new Error(`Failed to fetch page. Status ${response.status}`);
-  }
-  const doubleText = await doubleResponse.text();
-  const doubleNormalized = normalizeJobText(doubleText);
+function deleteResume(userId) {
+  db.prepare("DELETE FROM resumes WHERE user_id = ?").run(userId);
+}
 
-  if (!doubleNormalized || doubleNormalized.length < 200) {
-    throw new Error("Not enough readable text found on the page.");
-  }
+function rowToStory(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    situation: row.situation,
+    task: row.task,
+    action: row.action,
+    result: row.result,
+    competencies: parseJsonColumn(row.competencies_json, []),
+    signals: parseJsonColumn(row.signals_json, []),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
 
-  return { text: doubleNormalized.slice(0, 12000), method: "jina-double" };
+function listStories(userId) {
+  return db
+    .prepare("SELECT * FROM stories WHERE user_id = ? ORDER BY updated_at DESC")
+    .all(userId)
+    .map(rowToStory);
 }
 
-function normalizeJobText(text) {
-  const cleaned = decodeEntities(text || "");
-  return cleaned.slice(0, 12000);
+function getStory(storyId, userId) {
+  const row = db.prepare("SELECT * FROM stories WHERE id = ? AND user_id = ?").get(storyId, userId);
+  return row ? rowToStory(row) : null;
 }
 
-function inferSeniorityFromText(jobText, url) {
-  const text = (jobText || "").toLowerCase();
-  const urlText = (url || "").toLowerCase();
-  const combined = `${text} ${urlText}`;
-  const has = (pattern) => pattern.test(combined);
+function saveStory(userId, story) {
+  const now = new Date().toISOString();
+  db.prepare(
+    `INSERT INTO stories
+       (id, user_id, title, situation, task, action, result, competencies_json, signals_json, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET
+       title = excluded.title,
+       situation = excluded.situation,
+       task = excluded.task,
+       action = excluded.action,
+       result = excluded.result,
+       competencies_json = excluded.competencies_json,
+       signals_json = excluded.signals_json,
+       updated_at = excluded.updated_at`
+  ).run(
+    story.id,
+    userId,
+    story.title,
+    story.situation,
+    story.task,
+    story.action,
+    story.result,
+    JSON.stringify(story.competencies),
+    JSON.stringify(story.signals),
+    now,
+    now
+  );
+  return getStory(story.id, userId);
+}
 
-  if (has(/\b(director|vp|head of design|design director)\b/)) return "director";
-  if (has(/\b(staff|principal|lead)\b/)) return "staff";
-  if (has(/\b(senior|sr\.?|senior-level)\b/)) return "senior";
-  if (has(/\b(mid|mid-level|intermediate)\b/)) return "mid";
-  if (has(/\b(junior|jr\.?|entry[- ]level)\b/)) return "junior";
+function deleteStory(storyId) {
+  db.prepare("DELETE FROM stories WHERE id = ?").run(storyId);
+}
 
-  return "unknown";
+// Practice days follow the user's calendar, so cards come due at their midnight.
+function practiceDay(timeZone, offsetDays = 0) {
+  const today = Date.parse(`${zonedDay(new Date(), timeZone)}T00:00:00Z`);
+  return new Date(today + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
 }
 
-function extractSignals(jobText) {
-  const text = (jobText || "").toLowerCase();
-  const has = (pattern) => pattern.test(text);
-  const tags = [];
+function addPracticeCards(database, userId, jobId, themes) {
+  const insert = database.prepare(
+    `INSERT OR IGNORE INTO practice_cards (user_id, question, job_id, theme, due_day, created_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  );
+  const now = new Date().toISOString();
+  // New cards are due at once in every time zone, and none is more than a day behind UTC.
+  const dueDay = practiceDay("UTC", -1);
+  (Array.isArray(themes) ? themes : []).forEach((block) => {
+    (block?.questions || [])
+      .filter((question) => typeof question === "string" && question.trim())
+      .forEach((question) => insert.run(userId, question, jobId, block.theme || null, dueDay, now));
+  });
+}
 
-  const addTag = (tag) => {
-    if (!tags.includes(tag)) tags.push(tag);
+function rowToPracticeCard(row) {
+  return {
+    question: row.question,
+    theme: row.theme,
+    jobId: row.job_id,
+    jobTitle: row.job_title || null,
+    ease: row.ease,
+    intervalDays: row.interval_days,
+    repetitions: row.repetitions,
+    dueDay: row.due_day,
+    lastConfidence: row.last_confidence,
+    reviewedAt: row.reviewed_at
   };
+}
 
-  if (has(/\b(b2b|business[- ]to[- ]business)\b/)) addTag("b2b");
-  if (has(/\b(enterprise|large[- ]scale|regulated|compliance)\b/)) addTag("enterprise");
-  if (has(/\b(consumer|b2c|consumer[- ]facing)\b/)) addTag("consumer");
-  if (has(/\b(saas|subscription)\b/)) addTag("saas");
+function getPracticeStats(userId, timeZone) {
+  const today = practiceDay(timeZone);
+  const dayStart = zonedTime(today, "00:00", timeZone).toISOString();
+  const dayEnd = zonedTime(practiceDay(timeZone, 1), "00:00", timeZone).toISOString();
+  return db
+    .prepare(
+      `SELECT
+         COUNT(*) AS total,
+         COALESCE(SUM(due_day <= ?), 0) AS due_today,
+         COALESCE(SUM(reviewed_at IS NULL), 0) AS new_cards,
+         COALESCE(SUM(reviewed_at >= ? AND reviewed_at < ?), 0) AS reviewed_today
+       FROM practice_cards WHERE user_id = ?`
+    )
+    .get(today, dayStart, dayEnd, userId);
+}
 
-  if (has(/\b(mobile|ios|android)\b/)) addTag("mobile");
-  if (has(/\b(web|responsive|dashboard)\b/)) addTag("web");
-  if (has(/\b(multi[- ]platform|cross[- ]platform)\b/)) addTag("multi-platform");
+function listDuePracticeCards(userId, { jobId = null, limit, timeZone }) {
+  return db
+    .prepare(
+      `SELECT practice_cards.*, saved_jobs.title AS job_title
+       FROM practice_cards LEFT JOIN saved_jobs ON saved_jobs.id = practice_cards.job_id
+       WHERE practice_cards.user_id = ? AND practice_cards.due_day <= ? AND (? IS NULL OR practice_cards.job_id = ?)
+       ORDER BY practice_cards.reviewed_at IS NULL, practice_cards.due_day, practice_cards.created_at
+       LIMIT ?`
+    )
+    .all(userId, practiceDay(timeZone), jobId, jobId, limit)
+    .map(rowToPracticeCard);
+}
 
-  if (has(/\b(design system|design systems|component library)\b/)) addTag("design systems");
-  if (has(/\b(user research|ux research|research)\b/)) addTag("research");
-  if (has(/\b(metrics|kpi|conversion|experimentation|ab test|a\/b)\b/)) addTag("metrics & experimentation");
-  if (has(/\b(accessibility|a11y|wcag)\b/)) addTag("accessibility");
+function getPracticeCard(userId, question) {
+  const row = db.prepare("SELECT * FROM practice_cards WHERE user_id = ? AND question = ?").get(userId, question);
+  return row ? rowToPracticeCard(row) : null;
+}
 
-  if (has(/\b(stakeholder|stakeholders)\b/)) addTag("stakeholder management");
-  if (has(/\b(cross[- ]functional|product manager|engineering|marketing|data)\b/)) addTag("cross-functional");
-  if (has(/\b(leadership|influence|strategy)\b/)) addTag("leadership");
+function updatePracticeCard(userId, question, schedule) {
+  db.prepare(
+    `UPDATE practice_cards
+     SET ease = ?, interval_days = ?, repetitions = ?, due_day = ?, last_confidence = ?, reviewed_at = ?
+     WHERE user_id = ? AND question = ?`
+  ).run(
+    schedule.ease,
+    schedule.intervalDays,
+    schedule.repetitions,
+    schedule.dueDay,
+    schedule.confidence,
+    new Date().toISOString(),
+    userId,
+    question
+  );
+}
 
-  let domain = "unknown";
-  if (tags.includes("b2b")) domain = "b2b";
-  else if (tags.includes("enterprise")) domain = "enterprise";
-  else if (tags.includes("saas")) domain = "saas";
-  else if (tags.includes("consumer")) domain = "consumer";
+function rowToInterview(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    jobId: row.job_id,
+    analysis: parseJsonColumn(row.analysis_json, {}),
+    plan: parseJsonColumn(row.plan_json, []),
+    turns: parseJsonColumn(row.turns_json, []),
+    debrief: parseJsonColumn(row.debrief_json, null),
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
 
-  const managerSignals = has(/\b(manager|management|people manager|hiring|mentorship|mentoring|performance reviews)\b/);
-  const icSignals = has(/\b(individual contributor|ic)\b/);
-  let roleType = "unknown";
-  if (managerSignals && icSignals) roleType = "mixed";
-  else if (managerSignals) roleType = "manager";
-  else if (icSignals) roleType = "ic";
+function insertInterview(interview) {
+  const now = new Date().toISOString();
+  db.prepare(
+    `INSERT INTO mock_interviews (id, user_id, job_id, analysis_json, plan_json, turns_json, status, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    interview.id,
+    interview.userId,
+    interview.jobId,
+    JSON.stringify(interview.analysis),
+    JSON.stringify(interview.plan),
+    JSON.stringify(interview.turns),
+    interview.status,
+    now,
+    now
+  );
+}
 
-  return { signals: tags.slice(0, 10), domain, role_type: roleType };
+function getInterview(interviewId) {
+  const row = db.prepare("SELECT * FROM mock_interviews WHERE id = ?").get(interviewId);
+  return row ? rowToInterview(row) : null;
 }
 
-function inferFocusFromText(jobText) {
-  const text = (jobText || "").toLowerCase();
-  const has = (pattern) => pattern.test(text);
+function updateInterview(interview) {
+  db.prepare(
+    "UPDATE mock_interviews SET turns_json = ?, debrief_json = ?, status = ?, updated_at = ? WHERE id = ?"
+  ).run(
+    JSON.stringify(interview.turns),
+    interview.debrief ? JSON.stringify(interview.debrief) : null,
+    interview.status,
+    new Date().toISOString(),
+    interview.id
+  );
+}
 
-  if (has(/\b(brand|visual identity|graphic|marketing design|campaign)\b/)) {
-    return "brand & visual design";
-  }
-  if (has(/\b(design system|design systems|component library)\b/)) {
-    return "design systems";
-  }
-  if (has(/\b(user research|ux research|research)\b/)) {
-    return "research-heavy";
-  }
-  if (has(/\b(growth|conversion|activation|retention|funnel)\b/)) {
-    return "growth";
-  }
-  if (has(/\b(product designer|product design|ux\/ui|ux|ui)\b/)) {
-    return "product design";
+// Starting points only: the values each company publishes on its careers site. Principles and
+// interview loops are left for admins to fill in from sources they trust.
+const COMPANY_PROFILE_SEEDS = [
+  {
+    id: "spotify",
+    name: "Spotify",
+    hosts: ["lifeatspotify.com", "spotify.com", "spotifyjobs.com"],
+    aliases: [],
+    values: ["Innovative", "Collaborative", "Sincere", "Passionate", "Playful"],
+    principles: [],
+    loop: [],
+    notes: ""
+  },
+  {
+    id: "revolut",
+    name: "Revolut",
+    hosts: ["revolut.com"],
+    aliases: [],
+    values: ["Never Settle", "Think Deeper", "Get It Done", "Deliver WOW", "Dream Team"],
+    principles: [],
+    loop: [],
+    notes: ""
   }
+];
+const COMPANY_LIST_FIELDS = ["hosts", "aliases", "values", "principles", "loop"];
 
-  return "product design";
+function rowToCompanyProfile(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    hosts: parseJsonColumn(row.hosts_json, []),
+    aliases: parseJsonColumn(row.aliases_json, []),
+    values: parseJsonColumn(row.values_json, []),
+    principles: parseJsonColumn(row.principles_json, []),
+    loop: parseJsonColumn(row.loop_json, []),
+    notes: row.notes,
+    updatedAt: row.updated_at,
+    updatedBy: row.updated_by
+  };
 }
 
-async function callOpenAI(jobText, jobUrl) {
-  if (!OPENAI_API_KEY) {
-    throw new Error("Missing OPENAI_API_KEY in environment.");
+function listCompanyProfiles() {
+  return db.prepare("SELECT * FROM company_profiles ORDER BY name COLLATE NOCASE").all().map(rowToCompanyProfile);
+}
+
+function getCompanyProfile(companyId) {
+  const row = db.prepare("SELECT * FROM company_profiles WHERE id = ?").get(companyId);
+  return row ? rowToCompanyProfile(row) : null;
+}
+
+function saveCompanyProfile(company, username, database = db) {
+  database
+    .prepare(
+      `INSERT INTO company_profiles
+         (id, name, hosts_json, aliases_json, values_json, principles_json, loop_json, notes, updated_at, updated_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET
+         name = excluded.name,
+         hosts_json = excluded.hosts_json,
+         aliases_json = excluded.aliases_json,
+         values_json = excluded.values_json,
+         principles_json = excluded.principles_json,
+         loop_json = excluded.loop_json,
+         notes = excluded.notes,
+         updated_at = excluded.updated_at,
+         updated_by = excluded.updated_by`
+    )
+    .run(
+      company.id,
+      company.name,
+      ...COMPANY_LIST_FIELDS.map((field) => JSON.stringify(company[field])),
+      company.notes,
+      new Date().toISOString(),
+      username
+    );
+}
+
+function deleteCompanyProfile(companyId) {
+  db.prepare("DELETE FROM company_profiles WHERE id = ?").run(companyId);
+}
+
+function normalizeCompanyName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\b(inc|ltd|llc|gmbh|ag|ab|plc|sa|corp|limited|technologies)\b\.?/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function findCompanyProfile({ url, company }) {
+  const profiles = listCompanyProfiles();
+  const host = isValidHttpUrl(url) ? new URL(url).hostname.toLowerCase() : "";
+  const byHost = host
+    ? profiles.find((profile) => profile.hosts.some((item) => host === item || host.endsWith(`.${item}`)))
+    : null;
+  if (byHost) return byHost;
+
+  const name = normalizeCompanyName(company);
+  if (!name) return null;
+  return (
+    profiles.find((profile) => [profile.name, ...profile.aliases].some((alias) => normalizeCompanyName(alias) === name)) ||
+    null
+  );
+}
+
+function publicCompanyProfile(company) {
+  return company
+    ? {
+        name: company.name,
+        values: company.values,
+        principles: company.principles,
+        loop: company.loop,
+        notes: company.notes
+      }
+    : null;
+}
+
+function getVisitorSalt(day) {
+  const existing = db.prepare("SELECT salt FROM visitor_salts WHERE day = ?").pluck().get(day);
+  if (existing) return existing;
+
+  // Salts rotate daily and old ones are deleted, so visitor IDs cannot be linked across days.
+  const salt = randomBytes(32).toString("hex");
+  db.prepare("DELETE FROM visitor_salts WHERE day < ?").run(day);
+  db.prepare("INSERT OR IGNORE INTO visitor_salts (day, salt) VALUES (?, ?)").run(day, salt);
+  return db.prepare("SELECT salt FROM visitor_salts WHERE day = ?").pluck().get(day);
+}
+
+function getVisitorId(req, day) {
+  if (req.headers.dnt === "1" || req.headers["sec-gpc"] === "1") return null;
+  const ip = req.socket?.remoteAddress || "";
+  const userAgent = String(req.headers["user-agent"] || "");
+  return createHash("sha256")
+    .update(`${getVisitorSalt(day)}\n${ip}\n${userAgent}`)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function recordEvent(req, type, props = {}) {
+  try {
+    const now = new Date();
+    const day = now.toISOString().slice(0, 10);
+    db.prepare(
+      "INSERT INTO events (type, visitor_id, props_json, day, created_at) VALUES (?, ?, ?, ?, ?)"
+    ).run(type, getVisitorId(req, day), JSON.stringify(props), day, now.toISOString());
+  } catch (err) {
+    // Analytics must never break a user request.
+    console.error(`Failed to record ${type} event: ${err.message}`);
+  }
+}
+
+function pruneAnalytics() {
+  const cutoffMs = Date.now() - EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  db.prepare("DELETE FROM events WHERE day < ?").run(new Date(cutoffMs).toISOString().slice(0, 10));
+  db.prepare("DELETE FROM extraction_reports WHERE created_at_ms < ?").run(cutoffMs);
+}
+
+function getDashboardStats(days) {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const daily = db
+    .prepare(
+      `SELECT day, type, COUNT(*) AS count, COUNT(DISTINCT visitor_id) AS visitors
+       FROM events WHERE day >= ? GROUP BY day, type`
+    )
+    .all(since);
+  const funnel = db
+    .prepare(
+      `SELECT type, COUNT(DISTINCT visitor_id) AS visitors, COUNT(*) AS count
+       FROM events WHERE day >= ? GROUP BY type`
+    )
+    .all(since);
+  const uniqueVisitors = db
+    .prepare("SELECT COUNT(DISTINCT day || visitor_id) FROM events WHERE day >= ?")
+    .pluck()
+    .get(since);
+  const sources = db
+    .prepare(
+      `SELECT json_extract(props_json, '$.source') AS source, COUNT(*) AS count
+       FROM events WHERE type = 'analyze_submit' AND day >= ? GROUP BY source`
+    )
+    .all(since);
+  const parseMethods = db
+    .prepare(
+      `SELECT json_extract(props_json, '$.method') AS method,
+              COUNT(*) AS count,
+              SUM(json_extract(props_json, '$.ok')) AS ok,
+              AVG(json_extract(props_json, '$.length')) AS avg_length
+       FROM events WHERE type = 'parse_result' AND day >= ?
+       GROUP BY method ORDER BY count DESC`
+    )
+    .all(since);
+
+  return { since, daily, funnel, uniqueVisitors, sources, parseMethods };
+}
+
+function recordExtractionReport({ url, attempts, started, parsed = null, error = null }) {
+  const now = new Date();
+  const text = parsed?.text || "";
+  db.prepare(
+    `INSERT INTO extraction_reports
+      (host, url, ok, method, length, latency_ms, attempts_json, error, sample_text, created_at, created_at_ms)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    new URL(url).hostname,
+    url,
+    parsed ? 1 : 0,
+    parsed?.method || null,
+    text.length,
+    now.getTime() - started,
+    JSON.stringify(attempts),
+    error,
+    text.slice(0, EXTRACTION_SAMPLE_CHARS) || null,
+    now.toISOString(),
+    now.getTime()
+  );
+}
+
+function listExtractionHosts() {
+  return db
+    .prepare(
+      `SELECT host,
+              COUNT(*) AS fetches,
+              SUM(1 - ok) AS failures,
+              AVG(CASE WHEN ok THEN length END) AS avg_length,
+              AVG(latency_ms) AS avg_latency_ms,
+              MAX(created_at_ms) AS last_seen_ms
+       FROM extraction_reports
+       GROUP BY host
+       ORDER BY CAST(SUM(1 - ok) AS REAL) / COUNT(*) DESC, fetches DESC, host`
+    )
+    .all()
+    .map((row) => ({
+      ...row,
+      methods: db
+        .prepare(
+          `SELECT COALESCE(method, 'failed') AS method, COUNT(*) AS count
+           FROM extraction_reports WHERE host = ? GROUP BY method ORDER BY count DESC`
+        )
+        .all(row.host)
+    }));
+}
+
+function getExtractionSample(host) {
+  // Prefer the latest failure: that is the page a new extractor has to handle.
+  const row = db
+    .prepare("SELECT * FROM extraction_reports WHERE host = ? ORDER BY ok ASC, created_at_ms DESC LIMIT 1")
+    .get(host);
+  return row ? { ...row, attempts: parseJsonColumn(row.attempts_json) || [] } : null;
+}
+
+function recordAdminAudit(req, admin, action, status) {
+  db.prepare(
+    `INSERT INTO admin_audit_log (username, role, action, status, path, ip, user_agent, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    admin?.username || null,
+    admin?.role || null,
+    action,
+    status,
+    req.url,
+    req.socket?.remoteAddress || null,
+    String(req.headers["user-agent"] || "").slice(0, 300),
+    new Date().toISOString()
+  );
+}
+
+function listAdminAuditLog(limit) {
+  return db.prepare("SELECT * FROM admin_audit_log ORDER BY id DESC LIMIT ?").all(limit);
+}
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "application/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon"
+};
+
+const ANALYSIS_PROMPT = `You are an interview coach for {audience}.\nYou receive a {posting} as metadata lines (title, company, location...) followed by its sections, each introduced by a "## " heading with bullets marked "- ".\nExtract the role level (junior/mid/senior/lead/staff/director/unknown), role type (ic/manager/mixed/unknown), likely domain (b2b/consumer/enterprise/saas/unknown), and likely {focus}.\nDetect and return key signals (tags) from the posting.\nThen generate 6-10 behavioral interview questions tailored to the role.\nQuestions must be behavioral (about past actions, decisions, tradeoffs, collaboration, ambiguity, impact).\nAvoid generic or fluffy questions.\nWrite the focus, theme labels and questions in {language}, in a specific, senior-friendly style ("Tell me about a time...", "Describe a project...", "Give an example...").\nQuestions must be evidence-anchored: each theme should explicitly reflect the detected signals.\nIf the posting suggests {scope}, make questions reflect that.\nGroup questions by theme.\nOutput JSON only.`;
+
+const MORE_QUESTIONS_PROMPT = `You are an interview coach for {audience}.\nYou receive an existing analysis of a {posting} and the behavioral questions the candidate has already seen.\nGenerate 4-8 new behavioral questions grouped under the existing themes.\nDo not repeat or paraphrase any question already shown: probe different situations, decisions and evidence.\nKeep the same specific, senior-friendly style and reflect the detected signals.\nWrite the questions in {language}.\nOnly add a new theme if the existing ones are exhausted.\nOutput JSON only.`;
+
+const JOB_SUMMARY_PROMPT = `You condense one part of a long {posting} so it can be analyzed as a whole.\nKeep every responsibility, requirement, tool, domain, scale, team structure and seniority signal, as short factual bullets under the posting's own section headings.\nDrop company marketing, benefits, legal statements and repetition.\nKeep the posting's own language.\nDo not add anything that is not in the text.\nOutput JSON only.`;
+
+const FEEDBACK_PROMPT = `You are an interview coach for {audience}.\nYou receive one behavioral interview question, the candidate's answer, and what we know about the role.\nScore the answer against the STAR structure: Situation, Task, Action and Result, each from 0 (missing) to 5 (specific and complete).\nThen score how well the answer demonstrates the role's detected signals and how well its scope fits the role level (0-5 each).\nBe direct and concrete: quote or reference parts of the answer, name what is missing, and suggest specific improvements (metrics to add, decisions to explain, ownership to clarify).\nWrite the comments, strengths and improvements in {language}.\nDo not invent facts about the candidate.\nOutput JSON only.`;
+
+const RESUME_REVIEW_PROMPT = `You are an interviewer preparing to interview a {candidate}.\nYou receive what we know about the role (level, focus, detected signals) and the candidate's resume as sections with "## " headings and "- " bullets.\nCompare the resume against the role: list the signals and expectations the resume clearly evidences, and the gap areas where it shows no or weak evidence, with a concrete suggestion for how the candidate can close or address each gap in the interview.\nThen write the follow-up questions an interviewer would likely ask about specific projects or claims on the resume: name the project or claim, ask a behavioral question that probes the candidate's own role, decisions and measurable results, and say why an interviewer would ask it.\nOnly reference projects, employers and numbers that appear in the resume. Do not invent facts about the candidate.\nWrite the review and questions in {language}.\nOutput JSON only.`;
+
+const INTERVIEWER_PROMPT = `You are a {interviewer} running a live behavioral interview with a {candidate}.\nYou receive the role (level, type, focus, signals), the current interview question, and the conversation on that question so far.\nRead the candidate's latest answer and decide whether to ask a follow-up or move on.\nFollow-ups probe like a real interviewer: what the candidate personally did, how they measured impact, what they would do differently, how they handled disagreement, or what they traded off. Target whatever the answer left vague or missing, and quote it when useful.\nAsk one short question at a time and never repeat a question already asked.\nConduct the interview in {language}.\nHold the candidate to the bar for the role level and role type you are given.\nOutput JSON only.`;
+
+const INTERVIEW_DEBRIEF_PROMPT = `You are a {interviewer} writing the debrief after a behavioral interview with a {candidate}.\nYou receive the role (level, type, focus, signals) and the full transcript, grouped by theme.\nFor each theme, score the candidate from 0 (no evidence) to 5 (strong evidence at the role level), summarize what they showed, and list what went well and what to improve with specific references to their answers.\nThen give an overall summary and say how the answers fit the role level.\nWrite the debrief in {language}.\nBe direct and fair. Do not invent facts about the candidate.\nOutput JSON only.`;
+
+const SCHEMA_HINT = `Return a JSON object with keys:\n- role_level: one of ["junior","mid","senior","lead","staff","director","unknown"]\n- role_type: one of ["ic","manager","mixed","unknown"]\n- domain: one of ["b2b","consumer","enterprise","saas","unknown"]\n- focus: short string like {focuses}, etc.\n- signals: array of 3-10 strings (keywords/tags extracted from the posting)\n- themes: array of objects with keys:\n  - theme: short label like {themes}\n  - questions: array of 1-3 strings\nTotal questions across all themes must be 6-10.`;
+
+// Each profile fills the {placeholders} in the prompts above and brings its own theme taxonomy,
+// signal tags and focus heuristics. `detect` is matched against the posting to pick a profile.
+const ROLE_PROFILES = {
+  design: {
+    prompt: {
+      audience: "product and UX/UI designers",
+      posting: "design job posting",
+      candidate: "product or UX/UI designer",
+      interviewer: "design hiring manager",
+      focus: "design focus",
+      scope: "platform, B2B/SaaS, design systems, or enterprise scope"
+    },
+    detect:
+      /\b(product designers?|ux designers?|ui designers?|ux\/ui designers?|ui\/ux designers?|interaction designers?|visual designers?|content designers?|design (lead|manager|director)s?|head of design|ux researchers?|user researchers?|design systems?|figma)\b/g,
+    themes: [
+      "Strategy & Problem Framing",
+      "End-to-End Execution",
+      "Design Systems & Visual Language",
+      "Collaboration & Influence",
+      "Ambiguity & Tradeoffs",
+      "Impact & Metrics"
+    ],
+    signals: [
+      ["design systems", /\b(design system|design systems|component library)\b/],
+      ["research", /\b(user research|ux research|research)\b/],
+      ["metrics & experimentation", /\b(metrics|kpi|conversion|experimentation|ab test|a\/b)\b/],
+      ["accessibility", /\b(accessibility|a11y|wcag)\b/]
+    ],
+    focus: [
+      ["brand & visual design", /\b(brand|visual identity|graphic|marketing design|campaign)\b/],
+      ["design systems", /\b(design system|design systems|component library)\b/],
+      ["research-heavy", /\b(user research|ux research|research)\b/],
+      ["growth", /\b(growth|conversion|activation|retention|funnel)\b/]
+    ],
+    defaultFocus: "product design"
+  },
+  product: {
+    prompt: {
+      audience: "product managers",
+      posting: "product management job posting",
+      candidate: "product manager",
+      interviewer: "product hiring manager",
+      focus: "product area",
+      scope: "platform, B2B/SaaS, growth, or zero-to-one scope"
+    },
+    detect:
+      /\b(product managers?|product owners?|product management|head of product|director of product|vp,? product|product roadmaps?|prds?|go[- ]to[- ]market)\b/g,
+    themes: [
+      "Product Strategy & Vision",
+      "Prioritization & Tradeoffs",
+      "Customer Discovery",
+      "Execution & Delivery",
+      "Stakeholder Alignment",
+      "Metrics & Outcomes"
+    ],
+    signals: [
+      ["roadmap", /\b(roadmap|roadmaps|road map)\b/],
+      ["prioritization", /\b(prioriti[sz]ation|prioriti[sz]e)\b/],
+      ["discovery", /\b(discovery|customer interviews|user research)\b/],
+      ["metrics & experimentation", /\b(metrics|kpi|okrs?|conversion|experimentation|ab test|a\/b)\b/],
+      ["go-to-market", /\b(go[- ]to[- ]market|gtm|launch|launches)\b/]
+    ],
+    focus: [
+      ["growth", /\b(growth|activation|retention|monetization|funnel)\b/],
+      ["platform & api", /\b(platform|api|apis|developer experience)\b/],
+      ["ai/ml products", /\b(ai|machine learning|ml|llm)\b/],
+      ["b2b / enterprise", /\b(b2b|enterprise)\b/]
+    ],
+    defaultFocus: "product management"
+  },
+  engineering: {
+    prompt: {
+      audience: "software engineers",
+      posting: "software engineering job posting",
+      candidate: "software engineer",
+      interviewer: "engineering hiring manager",
+      focus: "engineering focus",
+      scope: "platform, infrastructure, scale, reliability, or enterprise scope"
+    },
+    detect:
+      /\b(software engineer(ing)?s?|software developers?|(backend|back-end|frontend|front-end|full[- ]stack|mobile|platform|infrastructure|ios|android|site reliability|devops) (engineer|developer)s?|engineering managers?|distributed systems|microservices|code reviews?)\b/g,
+    themes: [
+      "Technical Design & Architecture",
+      "Execution & Delivery",
+      "Quality & Reliability",
+      "Collaboration & Code Review",
+      "Ambiguity & Tradeoffs",
+      "Ownership & Impact"
+    ],
+    signals: [
+      ["distributed systems", /\b(distributed systems|microservices|scalability|scalable|high[- ]traffic)\b/],
+      ["cloud", /\b(aws|gcp|azure|kubernetes|cloud)\b/],
+      ["frontend", /\b(frontend|front-end|react|typescript|javascript)\b/],
+      ["backend", /\b(backend|back-end|apis?|databases?)\b/],
+      ["reliability", /\b(reliability|on[- ]call|incidents?|observability|sre)\b/],
+      ["testing & quality", /\b(testing|test coverage|code review|ci\/cd)\b/]
+    ],
+    focus: [
+      ["mobile", /\b(ios|android|mobile engineer|mobile developer)\b/],
+      ["machine learning", /\b(machine learning|ml engineer|ml infrastructure)\b/],
+      ["reliability", /\b(sre|site reliability|reliability)\b/],
+      ["backend & infrastructure", /\b(backend|back-end|infrastructure|distributed systems)\b/],
+      ["frontend", /\b(frontend|front-end|react)\b/]
+    ],
+    defaultFocus: "software engineering"
+  },
+  data: {
+    prompt: {
+      audience: "data scientists and analysts",
+      posting: "data job posting",
+      candidate: "data scientist or analyst",
+      interviewer: "data science hiring manager",
+      focus: "data focus",
+      scope: "experimentation, machine learning, data platform, or enterprise scope"
+    },
+    detect:
+      /\b(data scientists?|data science|data analysts?|analytics engineers?|machine learning engineers?|ml engineers?|causal inference|statistical (modeling|analysis)|a\/b testing|sql)\b/g,
+    themes: [
+      "Problem Framing & Hypotheses",
+      "Analysis & Modeling",
+      "Experimentation",
+      "Communicating Insights",
+      "Data Quality & Tooling",
+      "Impact on Decisions"
+    ],
+    signals: [
+      ["experimentation", /\b(experiments?|experimentation|a\/b tests?|a\/b testing|causal)\b/],
+      ["machine learning", /\b(machine learning|ml|deep learning|predictive models?)\b/],
+      ["statistics", /\b(statistics|statistical|regression|bayesian|forecasting)\b/],
+      ["sql & pipelines", /\b(sql|etl|dbt|pipelines?|data warehouse)\b/],
+      ["dashboards & kpis", /\b(dashboards?|kpis?|reporting|looker|tableau)\b/]
+    ],
+    focus: [
+      ["experimentation", /\b(experimentation|a\/b testing|causal inference)\b/],
+      ["machine learning", /\b(machine learning|ml engineer|predictive models?)\b/],
+      ["data engineering", /\b(etl|dbt|pipelines?|data warehouse|analytics engineer)\b/],
+      ["analytics", /\b(analytics|dashboards?|reporting|business intelligence)\b/]
+    ],
+    defaultFocus: "data science"
+  }
+};
+const DEFAULT_ROLE_PROFILE = "design";
+const ROLE_PROFILE_TITLE_WEIGHT = 5;
+
+function isRoleProfile(profileId) {
+  return typeof profileId === "string" && Object.hasOwn(ROLE_PROFILES, profileId);
+}
+
+function getRoleProfile(profileId) {
+  return ROLE_PROFILES[isRoleProfile(profileId) ? profileId : DEFAULT_ROLE_PROFILE];
+}
+
+function rolePrompt(template, profileId, language) {
+  const profile = getRoleProfile(profileId);
+  const quoted = (values) => values.map((value) => `"${value}"`).join(", ");
+  const values = {
+    ...profile.prompt,
+    focuses: quoted([profile.defaultFocus, ...profile.focus.map(([label]) => label)]),
+    themes: quoted(profile.themes),
+    language: getLanguage(language).name
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+function detectRoleProfile(jobText, title, language = detectLanguage(jobText)) {
+  const localized = getLanguage(language).profiles || {};
+  const count = (text, pattern) => (pattern ? String(text || "").toLowerCase().match(pattern) || [] : []).length;
+  let best = DEFAULT_ROLE_PROFILE;
+  let bestScore = 0;
+  for (const [id, profile] of Object.entries(ROLE_PROFILES)) {
+    const score =
+      (count(title, profile.detect) + count(title, localized[id])) * ROLE_PROFILE_TITLE_WEIGHT +
+      count(jobText, profile.detect) +
+      count(jobText, localized[id]);
+    if (score > bestScore) {
+      best = id;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Postings in these languages are read with their own dictionaries on top of the English patterns,
+// and questions can be written in any of them. Dictionary entries are keyed like the English ones
+// (signal tags, seniority levels, role profiles).
+const LANGUAGES = {
+  en: {
+    name: "English",
+    stopWords: new Set(["the", "and", "you", "with", "our", "are", "will", "for", "this", "your", "have", "what", "who", "from"])
+  },
+  de: {
+    name: "German",
+    stopWords: new Set([
+      "und", "der", "die", "mit", "für", "wir", "sie", "ist", "ein", "eine", "einen", "nicht", "auf", "bei",
+      "zu", "du", "dich", "dein", "deine", "ihre", "oder", "auch", "von", "den", "dem", "im", "uns", "unsere"
+    ]),
+    seniority: {
+      director: localTerms(["direktor\\p{L}*", "bereichsleit\\p{L}*", "abteilungsleit\\p{L}*"]),
+      staff: localTerms(["teamleit\\p{L}*"]),
+      senior: localTerms(["erfahrene[rn]?"]),
+      junior: localTerms(["berufseinsteiger\\p{L}*", "einsteiger\\p{L}*", "werkstudent\\p{L}*", "praktikant\\p{L}*", "absolvent\\p{L}*"])
+    },
+    management: localTerms([
+      "führungskraft", "führungsverantwortung", "personalverantwortung", "disziplinarisch\\p{L}*", "teamleitung", "mitarbeiterführung"
+    ]),
+    profiles: {
+      design: localTerms(["produktdesigner\\p{L}*", "ux-designer\\p{L}*", "ui-designer\\p{L}*", "interaktionsdesigner\\p{L}*", "designsystem\\p{L}*"], "gu"),
+      product: localTerms(["produktmanager\\p{L}*", "produktmanagement", "produktverantwortlich\\p{L}*"], "gu"),
+      engineering: localTerms(["softwareentwickler\\p{L}*", "softwareingenieur\\p{L}*", "backend-entwickler\\p{L}*", "frontend-entwickler\\p{L}*", "fullstack-entwickler\\p{L}*", "softwareentwicklung"], "gu"),
+      data: localTerms(["datenanalyst\\p{L}*", "datenwissenschaftler\\p{L}*", "datenanalyse", "maschinelle[sm]? lernen"], "gu")
+    },
+    signals: {
+      enterprise: localTerms(["großunternehmen", "konzern\\p{L}*", "reguliert\\p{L}*"]),
+      consumer: localTerms(["endkunde\\p{L}*", "endverbraucher\\p{L}*", "verbraucher\\p{L}*"]),
+      saas: localTerms(["abonnement\\p{L}*", "abo-modell"]),
+      web: localTerms(["webanwendung\\p{L}*", "webseite\\p{L}*"]),
+      "multi-platform": localTerms(["plattformübergreifend\\p{L}*"]),
+      "design systems": localTerms(["designsystem\\p{L}*", "komponentenbibliothek\\p{L}*"]),
+      research: localTerms(["nutzerforschung", "nutzerinterviews?", "usability-tests?", "forschung"]),
+      "metrics & experimentation": localTerms(["kennzahl\\p{L}*", "metrik\\p{L}*", "experiment\\p{L}*", "a/b-tests?"]),
+      accessibility: localTerms(["barrierefrei\\p{L}*"]),
+      "stakeholder management": localTerms(["stakeholder\\p{L}*", "interessengruppen"]),
+      "cross-functional": localTerms(["funktionsübergreifend\\p{L}*", "interdisziplinär\\p{L}*", "entwickler\\p{L}*", "produktmanager\\p{L}*"]),
+      leadership: localTerms(["führung\\p{L}*", "strategie\\p{L}*", "einfluss"]),
+      roadmap: localTerms(["roadmap\\p{L}*"]),
+      prioritization: localTerms(["priorisier\\p{L}*"]),
+      discovery: localTerms(["kundeninterviews?", "nutzerforschung"]),
+      "go-to-market": localTerms(["markteinführung\\p{L}*", "produkteinführung\\p{L}*"]),
+      "distributed systems": localTerms(["verteilte\\p{L}* systeme\\p{L}*", "skalierbar\\p{L}*"]),
+      backend: localTerms(["datenbank\\p{L}*", "schnittstelle\\p{L}*"]),
+      reliability: localTerms(["zuverlässigkeit", "rufbereitschaft", "störung\\p{L}*", "verfügbarkeit"]),
+      "testing & quality": localTerms(["testautomatisierung", "code-reviews?", "qualitätssicherung"]),
+      experimentation: localTerms(["experiment\\p{L}*", "a/b-tests?"]),
+      "machine learning": localTerms(["maschinelle[sm]? lernen", "ki"]),
+      statistics: localTerms(["statistik\\p{L}*", "statistisch\\p{L}*", "prognose\\p{L}*"]),
+      "sql & pipelines": localTerms(["datenpipeline\\p{L}*"]),
+      "dashboards & kpis": localTerms(["berichtswesen", "kennzahl\\p{L}*"])
+    }
+  },
+  fr: {
+    name: "French",
+    stopWords: new Set([
+      "et", "les", "des", "pour", "vous", "avec", "nous", "est", "une", "dans", "sur", "le", "la", "du", "votre",
+      "vos", "au", "aux", "qui", "sont", "être"
+    ]),
+    seniority: {
+      director: localTerms(["directeur\\p{L}*", "directrice\\p{L}*", "chef de service"]),
+      staff: localTerms(["chef d['’]équipe", "référente?"]),
+      senior: localTerms(["sénior", "confirmée?", "expérimentée?"]),
+      mid: localTerms(["intermédiaire"]),
+      junior: localTerms(["débutante?", "stagiaire", "alternante?", "alternance", "jeune diplômée?"])
+    },
+    management: localTerms(["management d['’]équipe", "encadrement", "gestion d['’]équipe", "manager une équipe", "mentorat"]),
+    profiles: {
+      design: localTerms(["designer produit", "designer ux", "designer ui", "concepteur\\p{L}* ux", "système de design"], "gu"),
+      product: localTerms(["cheff?e? de produit", "responsable produit", "gestion de produit"], "gu"),
+      engineering: localTerms(["ingénieure? logiciel", "développeur\\p{L}* (backend|frontend|full[- ]stack|logiciel)", "développement logiciel", "architecture logicielle"], "gu"),
+      data: localTerms(["analyste de données", "science des données", "scientifique des données", "apprentissage automatique"], "gu")
+    },
+    signals: {
+      enterprise: localTerms(["grands comptes", "grandes entreprises", "réglementée?s?", "conformité"]),
+      consumer: localTerms(["grand public", "consommateurs?"]),
+      saas: localTerms(["abonnements?"]),
+      web: localTerms(["site web", "application web", "tableaux? de bord"]),
+      "multi-platform": localTerms(["multiplateformes?"]),
+      "design systems": localTerms(["systèmes? de design", "bibliothèque de composants"]),
+      research: localTerms(["recherche utilisateurs?", "recherche ux", "entretiens utilisateurs", "tests utilisateurs"]),
+      "metrics & experimentation": localTerms(["indicateurs", "métriques", "taux de conversion", "expérimentation\\p{L}*", "tests a/b"]),
+      accessibility: localTerms(["accessibilité", "rgaa"]),
+      "stakeholder management": localTerms(["parties prenantes"]),
+      "cross-functional": localTerms(["transverse\\p{L}*", "transversale\\p{L}*", "pluridisciplinaire\\p{L}*", "développeurs", "chefs? de produit"]),
+      leadership: localTerms(["stratégie\\p{L}*"]),
+      roadmap: localTerms(["feuille de route"]),
+      prioritization: localTerms(["priorisation", "prioriser"]),
+      discovery: localTerms(["entretiens clients", "découverte"]),
+      "go-to-market": localTerms(["mise sur le marché", "lancements?"]),
+      "distributed systems": localTerms(["systèmes distribués", "scalabilité", "passage à l['’]échelle"]),
+      backend: localTerms(["bases? de données"]),
+      reliability: localTerms(["fiabilité", "astreinte\\p{L}*", "disponibilité"]),
+      "testing & quality": localTerms(["tests automatisés", "revues? de code", "qualité logicielle"]),
+      experimentation: localTerms(["expérimentation\\p{L}*", "tests a/b", "inférence causale"]),
+      "machine learning": localTerms(["apprentissage automatique", "ia"]),
+      statistics: localTerms(["statistiques?", "prévision\\p{L}*", "régression"]),
+      "sql & pipelines": localTerms(["entrepôt de données", "pipelines? de données"]),
+      "dashboards & kpis": localTerms(["tableaux? de bord", "indicateurs"])
+    }
+  },
+  pt: {
+    name: "Portuguese",
+    stopWords: new Set([
+      "e", "os", "para", "você", "uma", "em", "na", "não", "seu", "sua", "nossa", "nosso", "ao", "pelo", "pela",
+      "da", "do", "dos", "um", "como", "mais"
+    ]),
+    seniority: {
+      director: localTerms(["diretora?", "diretoria"]),
+      staff: localTerms(["especialista", "tech lead", "coordenadora?"]),
+      senior: localTerms(["sênior"]),
+      mid: localTerms(["pleno"]),
+      junior: localTerms(["júnior", "estagiária?", "estágio"])
+    },
+    management: localTerms(["gestão de pessoas", "gestão de equipes?", "liderança de equipes?", "gestora?", "mentoria"]),
+    profiles: {
+      design: localTerms(["designer de produto", "designer ux", "designer ui", "sistema de design"], "gu"),
+      product: localTerms(["gerente de produtos?", "gestão de produtos?"], "gu"),
+      engineering: localTerms(["engenheira? de software", "desenvolvedora? (backend|front-?end|full[- ]stack|de software)", "desenvolvimento de software"], "gu"),
+      data: localTerms(["cientista de dados", "analista de dados", "ciência de dados", "aprendizado de máquina"], "gu")
+    },
+    signals: {
+      enterprise: localTerms(["grandes empresas", "regulad[oa]s?", "conformidade"]),
+      consumer: localTerms(["consumidor\\p{L}*", "cliente final"]),
+      saas: localTerms(["assinaturas?"]),
+      web: localTerms(["aplicação web", "painel"]),
+      "multi-platform": localTerms(["multiplataforma"]),
+      "design systems": localTerms(["sistemas? de design", "biblioteca de componentes"]),
+      research: localTerms(["pesquisas? com usuários", "pesquisas? de usuários?", "pesquisa ux", "entrevistas com usuários", "testes de usabilidade"]),
+      "metrics & experimentation": localTerms(["métricas", "indicadores", "taxa de conversão", "experimentação", "testes a/b"]),
+      accessibility: localTerms(["acessibilidade"]),
+      "stakeholder management": localTerms(["partes interessadas"]),
+      "cross-functional": localTerms(["multidisciplinar\\p{L}*", "multifuncional\\p{L}*", "desenvolvedores", "engenharia"]),
+      leadership: localTerms(["liderança", "estratégia", "influência"]),
+      prioritization: localTerms(["priorização", "priorizar"]),
+      discovery: localTerms(["descoberta", "entrevistas com clientes"]),
+      "go-to-market": localTerms(["lançamentos?"]),
+      "distributed systems": localTerms(["sistemas distribuídos", "escalabilidade", "escaláve(l|is)"]),
+      backend: localTerms(["bancos? de dados"]),
+      reliability: localTerms(["confiabilidade", "sobreaviso", "incidentes?", "disponibilidade"]),
+      "testing & quality": localTerms(["testes automatizados", "revisão de código", "qualidade de software"]),
+      experimentation: localTerms(["experimentação", "experimentos?", "testes a/b", "inferência causal"]),
+      "machine learning": localTerms(["aprendizado de máquina", "ia", "modelos preditivos"]),
+      statistics: localTerms(["estatística\\p{L}*", "previsão", "previsões", "regressão"]),
+      "sql & pipelines": localTerms(["pipelines? de dados"]),
+      "dashboards & kpis": localTerms(["painéis", "indicadores", "relatórios"])
+    }
+  }
+};
+const DEFAULT_LANGUAGE = "en";
+const LANGUAGE_SAMPLE_WORDS = 1500;
+
+// Whole-word, case-insensitive match for lowercased text, where \b would not see accented letters.
+function localTerms(words, flags = "u") {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${words.join("|").replace(/ /g, "\\s+")})(?![\\p{L}\\p{N}])`, flags);
+}
+
+function isLanguage(code) {
+  return typeof code === "string" && Object.hasOwn(LANGUAGES, code);
+}
+
+function getLanguage(code) {
+  return LANGUAGES[isLanguage(code) ? code : DEFAULT_LANGUAGE];
+}
+
+function detectLanguage(text) {
+  const words = (String(text || "").toLowerCase().match(/\p{L}+/gu) || []).slice(0, LANGUAGE_SAMPLE_WORDS);
+  let best = DEFAULT_LANGUAGE;
+  let bestScore = 0;
+  for (const [code, language] of Object.entries(LANGUAGES)) {
+    const score = words.filter((word) => language.stopWords.has(word)).length;
+    if (score > bestScore) {
+      best = code;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function sendJson(res, status, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(body)
+  });
+  res.end(body);
+}
+
+function sendHtml(res, status, html) {
+  res.writeHead(status, {
+    "Content-Type": "text/html; charset=utf-8",
+    "Content-Length": Buffer.byteLength(html)
+  });
+  res.end(html);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"));
+      } catch {
+        const err = new Error("Request body must be valid JSON.");
+        err.status = 400;
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function readRawBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        const err = new Error("Upload is too large.");
+        err.status = 413;
+        // Drain the rest of the upload so the 413 response can still be delivered.
+        req.removeAllListeners("data");
+        req.resume();
+        reject(err);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function isValidHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+const PRIVATE_ADDRESSES = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+const FETCH_ERROR_STATUS = {
+  invalid_url: 400,
+  blocked_address: 400,
+  dns_failed: 502,
+  network_error: 502,
+  http_error: 502,
+  too_many_redirects: 502,
+  too_large: 502,
+  timeout: 504,
+  no_text: 422
+};
+
+function fetchError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = FETCH_ERROR_STATUS[code] || 502;
+  return err;
+}
+
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = isIP(address);
+  if (!family) return true;
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// Checked while connecting rather than before, so a hostname cannot resolve to a
+// public address for the check and a private one for the request.
+function publicOnlyLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(fetchError("dns_failed", `Could not resolve ${hostname}.`));
+    }
+    if (!FETCH_ALLOWED_HOSTS.includes(hostname) && addresses.some((entry) => isBlockedAddress(entry.address))) {
+      return callback(fetchError("blocked_address", `${hostname} points to a private or local network address.`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function parseFetchUrl(value) {
+  let target;
+  try {
+    target = new URL(value);
+  } catch {
+    throw fetchError("invalid_url", "That does not look like a valid link.");
+  }
+  if (target.protocol !== "http:" && target.protocol !== "https:") {
+    throw fetchError("invalid_url", "Only http and https links can be fetched.");
+  }
+  if (target.username || target.password) {
+    throw fetchError("invalid_url", "Links with embedded credentials are not fetched.");
+  }
+  const hostname = target.hostname.replace(/^\[|\]$/g, "");
+  if (isIP(hostname) && !FETCH_ALLOWED_HOSTS.includes(hostname) && isBlockedAddress(hostname)) {
+    throw fetchError("blocked_address", `${hostname} is a private or local network address.`);
+  }
+  return target;
+}
+
+function assertPublicUrl(url) {
+  const target = parseFetchUrl(url);
+  return new Promise((resolve, reject) => {
+    publicOnlyLookup(target.hostname.replace(/^\[|\]$/g, ""), {}, (err) => (err ? reject(err) : resolve(target)));
+  });
+}
+
+function requestOnce(target, accept, signal) {
+  const client = target.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      target,
+      {
+        method: "GET",
+        lookup: publicOnlyLookup,
+        signal,
+        headers: {
+          "User-Agent": FETCH_USER_AGENT,
+          "Accept": accept,
+          "Accept-Encoding": "gzip, deflate, br"
+        }
+      },
+      resolve
+    );
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+function readResponseBody(response, maxBytes) {
+  const encoding = String(response.headers["content-encoding"] || "").toLowerCase();
+  const decoder =
+    encoding === "gzip" ? createGunzip() : encoding === "deflate" ? createInflate() : encoding === "br" ? createBrotliDecompress() : null;
+  const stream = decoder ? response.pipe(decoder) : response;
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    stream.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        response.destroy();
+        stream.destroy();
+        reject(fetchError("too_large", `The page is larger than ${Math.round(maxBytes / 1024 / 1024)} MB.`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+    response.on("error", reject);
+  });
+}
+
+async function decodeResponseBody(response, maxBytes) {
+  const body = await readResponseBody(response, maxBytes);
+  const charset = String(response.headers["content-type"] || "").match(/charset=([^;]+)/i)?.[1]?.trim();
+  let textDecoder;
+  try {
+    textDecoder = new TextDecoder(charset || "utf-8");
+  } catch {
+    textDecoder = new TextDecoder("utf-8");
+  }
+  return textDecoder.decode(body);
+}
+
+async function safeFetch(url, { accept = "text/html,application/xhtml+xml", timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let current = url;
+
+  try {
+    for (let redirects = 0; ; redirects += 1) {
+      const target = parseFetchUrl(current);
+      const response = await requestOnce(target, accept, signal);
+      const location = response.headers.location;
+      if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+        response.resume();
+        if (redirects >= FETCH_MAX_REDIRECTS) {
+          throw fetchError("too_many_redirects", `The page redirected more than ${FETCH_MAX_REDIRECTS} times.`);
+        }
+        current = new URL(location, target).toString();
+        continue;
+      }
+
+      const text = await decodeResponseBody(response, FETCH_MAX_BYTES);
+      return {
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        status: response.statusCode,
+        url: current,
+        text
+      };
+    }
+  } catch (err) {
+    if (err.code && FETCH_ERROR_STATUS[err.code]) throw err;
+    if (signal.aborted) {
+      throw fetchError("timeout", `The page did not respond within ${Math.round(timeoutMs / 1000)} seconds.`);
+    }
+    throw fetchError("network_error", `Could not connect to ${new URL(current).hostname}: ${err.message}`);
+  }
+}
+
+function decodeEntities(text) {
+  return text
+    .replaceAll("&nbsp;", " ")
+    .replaceAll("&amp;", "&")
+    .replaceAll("&quot;", "\"")
+    .replaceAll("&#39;", "'")
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll(/\s+/g, " ")
+    .trim();
+}
+
+function extractTextFromHtml(html) {
+  const noScripts = html.replace(/<script[\s\S]*?<\/script>/gi, " ");
+  const noStyles = noScripts.replace(/<style[\s\S]*?<\/style>/gi, " ");
+  const noNoscript = noStyles.replace(/<noscript[\s\S]*?<\/noscript>/gi, " ");
+  const noTags = noNoscript.replace(/<[^>]+>/g, " ");
+  return decodeEntities(noTags);
+}
+
+function safeJsonParse(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+const JOB_POSTING_FIELDS = [
+  ["title", "Title"],
+  ["company", "Company"],
+  ["location", "Location"],
+  ["employmentType", "Employment type"],
+  ["salary", "Salary"],
+  ["datePosted", "Posted"]
+];
+// Postings are kept whole up to the storage cap; the model sees at most JOB_POSTING_MAX_CHARS.
+const JOB_POSTING_MAX_CHARS = 12000;
+const JOB_POSTING_STORE_CHARS = 60000;
+const JOB_SUMMARY_CHUNK_CHARS = 10000;
+const BOILERPLATE_SECTION_PATTERN =
+  /\b(benefits|perks|what we offer|we offer|equal (employment )?opportunit\w*|eeo|accommodations?|privacy|cookies?|how to apply|application process|similar jobs|share this job)\b/i;
+const BOILERPLATE_LINE_PATTERN =
+  /(equal opportunity employer|without regard to (race|age|sex|religion)|regardless of (race|age|gender)|reasonable accommodations?|e-verify|we use cookies|accept (all )?cookies|cookie (policy|settings|preferences)|privacy (policy|notice)|apply (now|for this (job|role))|share this (job|role)|back to (all )?(jobs|careers))/i;
+const SECTION_PRIORITIES = [
+  [/(responsib|what you('|’)?ll do|what you will do|the role|your role|your impact|day[- ]to[- ]day|in this role|you will)/i, 1],
+  [/(requirement|qualification|what you('|’)?ll bring|what you bring|about you|who you are|you have|skills|experience|must[- ]have|nice[- ]to[- ]have|bonus|preferred)/i, 1],
+  [/(team|about the (job|position)|overview|summary|description)/i, 2],
+  [/(about (us|the company)|who we are|our (mission|story|culture|values)|company)/i, 4]
+];
+const POSTING_SKIP_TAGS = new Set(["script", "style", "noscript", "svg", "button", "form", "nav", "footer", "iframe", "template"]);
+const POSTING_BLOCK_SELECTOR = "p, div, section, article, main, header, ul, ol, li, h1, h2, h3, h4, h5, h6, table, tr, blockquote, dl, dt, dd";
+
+function createSectionCollector() {
+  const sections = [];
+  let current = null;
+  const ensureSection = () => {
+    if (!current) {
+      current = { heading: "", paragraphs: [], bullets: [] };
+      sections.push(current);
+    }
+    return current;
+  };
+
+  return {
+    heading(text) {
+      current = { heading: text.replace(/:$/, "").trim(), paragraphs: [], bullets: [] };
+      sections.push(current);
+    },
+    paragraph(text) {
+      if (text) ensureSection().paragraphs.push(text);
+    },
+    bullet(text) {
+      if (text) ensureSection().bullets.push(text);
+    },
+    line(raw) {
+      const text = decodeEntities(raw)
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .trim();
+      if (!text) return;
+      const markdownHeading = text.match(/^#{1,6}\s+(.+)$/) || text.match(/^\*\*(.+?)\*\*:?$/);
+      if (markdownHeading) return this.heading(markdownHeading[1]);
+      const bullet = text.match(/^(?:[-*•·▪◦]|\d+[.)])\s+(.+)$/);
+      if (bullet) return this.bullet(bullet[1]);
+      if (text.length <= 60 && text.endsWith(":")) return this.heading(text);
+      this.paragraph(text);
+    },
+    sections: () => sections.filter((section) => section.paragraphs.length || section.bullets.length)
+  };
+}
+
+function isHeadingLike(element, text) {
+  if (text.length > 80) return false;
+  const emphasis = element.querySelector("strong, b");
+  return Boolean(emphasis && decodeEntities(emphasis.textContent || "") === text);
+}
+
+function collectSections(root, collector) {
+  root.childNodes.forEach((node) => {
+    if (node.nodeType === 3) {
+      collector.line(node.textContent || "");
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.tagName.toLowerCase();
+    if (POSTING_SKIP_TAGS.has(tag)) return;
+    const text = decodeEntities(node.textContent || "");
+    if (!text) return;
+
+    if (/^h[1-6]$/.test(tag)) {
+      collector.heading(text);
+    } else if (tag === "li") {
+      collector.bullet(text);
+    } else if (node.querySelector(POSTING_BLOCK_SELECTOR)) {
+      collectSections(node, collector);
+    } else if (isHeadingLike(node, text)) {
+      collector.heading(text);
+    } else {
+      node.innerHTML.split(/<br\s*\/?>/i).forEach((part) => collector.line(extractTextFromHtml(part)));
+    }
+  });
+}
+
+function sectionsFromElement(element) {
+  const collector = createSectionCollector();
+  if (element) collectSections(element, collector);
+  return collector.sections();
+}
+
+function sectionsFromHtml(html, label = "") {
+  if (!html) return [];
+  const value = Array.isArray(html) ? html.join("\n") : String(html);
+  const sections = value.includes("<") ? sectionsFromElement(JSDOM.fragment(value)) : sectionsFromText(value);
+  if (label && sections[0] && !sections[0].heading) {
+    sections[0].heading = label;
+  }
+  return sections;
+}
+
+function sectionsFromText(text) {
+  const collector = createSectionCollector();
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((line) => collector.line(line));
+  return collector.sections();
+}
+
+function isBoilerplateLine(text) {
+  return text.length < 600 && BOILERPLATE_LINE_PATTERN.test(text);
+}
+
+function removeBoilerplate(sections) {
+  return sections
+    .filter((section) => !BOILERPLATE_SECTION_PATTERN.test(section.heading))
+    .map((section) => ({
+      heading: section.heading,
+      paragraphs: section.paragraphs.filter((text) => !isBoilerplateLine(text)),
+      bullets: section.bullets.filter((text) => !isBoilerplateLine(text))
+    }));
+}
+
+function sectionPriority(section) {
+  if (!section.heading) return 2;
+  const match = SECTION_PRIORITIES.find(([pattern]) => pattern.test(section.heading));
+  return match ? match[1] : 3;
+}
+
+// Drops the least useful sections (company blurbs first, then unrecognised ones, last section first)
+// until the posting fits. Returns null when the role description and requirements alone are too long.
+function fitJobPosting(posting, limit) {
+  const kept = new Set(posting.sections.map((section, index) => index));
+  const keptPosting = () => ({ ...posting, sections: posting.sections.filter((section, index) => kept.has(index)) });
+  const droppable = posting.sections
+    .map((section, index) => ({ index, priority: sectionPriority(section) }))
+    .filter((item) => item.priority > 2)
+    .sort((a, b) => b.priority - a.priority || b.index - a.index);
+
+  for (const item of droppable) {
+    if (jobPostingToText(keptPosting()).length <= limit) break;
+    kept.delete(item.index);
+  }
+
+  const fitted = keptPosting();
+  return jobPostingToText(fitted).length <= limit ? fitted : null;
+}
+
+function chunkSections(sections, limit) {
+  const chunks = [[]];
+  let size = 0;
+  const add = (section) => {
+    const length = jobPostingToText({ sections: [section] }).length;
+    if (size + length > limit && chunks[chunks.length - 1].length) {
+      chunks.push([]);
+      size = 0;
+    }
+    chunks[chunks.length - 1].push(section);
+    size += length;
+  };
+
+  sections.forEach((section) => {
+    let piece = { heading: section.heading, paragraphs: [], bullets: [] };
+    let pieceSize = section.heading.length;
+    const items = [
+      ...section.paragraphs.map((text) => ["paragraphs", text]),
+      ...section.bullets.map((text) => ["bullets", text])
+    ];
+    items.forEach(([kind, text]) => {
+      if (pieceSize + text.length > limit && (piece.paragraphs.length || piece.bullets.length)) {
+        add(piece);
+        piece = { heading: section.heading, paragraphs: [], bullets: [] };
+        pieceSize = section.heading.length;
+      }
+      piece[kind].push(text.slice(0, limit));
+      pieceSize += text.length + 3;
+    });
+    add(piece);
+  });
+
+  return chunks.filter((chunk) => chunk.length);
+}
+
+function jobPostingToText(posting) {
+  const lines = JOB_POSTING_FIELDS.filter(([key]) => posting[key]).map(([key, label]) => `${label}: ${posting[key]}`);
+  posting.sections.forEach((section) => {
+    lines.push("");
+    if (section.heading) lines.push(`## ${section.heading}`);
+    section.paragraphs.forEach((paragraph) => lines.push(paragraph));
+    section.bullets.forEach((bullet) => lines.push(`- ${bullet}`));
+  });
+  return lines.join("\n").trim();
+}
+
+function buildJobPosting(metadata = {}, sections = []) {
+  const posting = {};
+  JOB_POSTING_FIELDS.forEach(([key]) => {
+    const value = decodeEntities(String(metadata[key] || ""));
+    if (value) posting[key] = value.slice(0, 200);
+  });
+
+  let budget = JOB_POSTING_STORE_CHARS;
+  posting.sections = [];
+  removeBoilerplate(sections).forEach((section) => {
+    if (budget <= 0) return;
+    const take = (items) =>
+      items.filter((item) => {
+        budget -= item.length;
+        return budget > 0;
+      });
+    const kept = { heading: section.heading, paragraphs: take(section.paragraphs), bullets: take(section.bullets) };
+    if (kept.paragraphs.length || kept.bullets.length) posting.sections.push(kept);
+  });
+
+  if (!posting.sections.length) return null;
+  return { text: jobPostingToText(posting), posting };
+}
+
+function formatJobLocation(jobLocation) {
+  const locations = Array.isArray(jobLocation) ? jobLocation : [jobLocation];
+  return locations
+    .map((location) => {
+      const address = location?.address || location;
+      if (typeof address === "string") return address;
+      return [address?.addressLocality, address?.addressRegion, address?.addressCountry?.name || address?.addressCountry]
+        .filter((part) => typeof part === "string" && part)
+        .join(", ");
+    })
+    .filter(Boolean)
+    .join(" · ");
+}
+
+function formatSalary(baseSalary) {
+  const value = baseSalary?.value;
+  if (!value) return "";
+  const amount = (number) => Number(number).toLocaleString("en-US");
+  const range =
+    value.minValue && value.maxValue
+      ? `${amount(value.minValue)}–${amount(value.maxValue)}`
+      : value.value || value.minValue || value.maxValue
+        ? amount(value.value || value.minValue || value.maxValue)
+        : "";
+  if (!range) return "";
+  const unit = value.unitText ? ` per ${String(value.unitText).toLowerCase()}` : "";
+  return `${baseSalary.currency ? `${baseSalary.currency} ` : ""}${range}${unit}`;
+}
+
+function extractJsonLdJobPosting(document) {
+  const scripts = Array.from(document.querySelectorAll('script[type="application/ld+json"]'));
+  const candidates = [];
+
+  scripts.forEach((script) => {
+    const parsed = safeJsonParse(script.textContent || "");
+    if (!parsed) return;
+    if (Array.isArray(parsed)) {
+      candidates.push(...parsed);
+    } else if (parsed && typeof parsed === "object") {
+      if (Array.isArray(parsed["@graph"])) {
+        candidates.push(...parsed["@graph"]);
+      } else {
+        candidates.push(parsed);
+      }
+    }
+  });
+
+  const jobPosting = candidates.find((item) => {
+    const type = item?.["@type"];
+    if (Array.isArray(type)) return type.includes("JobPosting");
+    return type === "JobPosting";
+  });
+
+  if (!jobPosting) return null;
+
+  const organization = jobPosting.hiringOrganization;
+  return buildJobPosting(
+    {
+      title: jobPosting.title,
+      company: typeof organization === "string" ? organization : organization?.name,
+      location: jobPosting.jobLocationType === "TELECOMMUTE" ? "Remote" : formatJobLocation(jobPosting.jobLocation),
+      employmentType: [].concat(jobPosting.employmentType || []).join(", "),
+      salary: formatSalary(jobPosting.baseSalary),
+      datePosted: jobPosting.datePosted
+    },
+    [
+      ...sectionsFromHtml(jobPosting.description),
+      ...sectionsFromHtml(jobPosting.responsibilities, "Responsibilities"),
+      ...sectionsFromHtml(jobPosting.qualifications, "Qualifications"),
+      ...sectionsFromHtml(jobPosting.experienceRequirements, "Experience"),
+      ...sectionsFromHtml(jobPosting.skills, "Skills")
+    ]
+  );
+}
+
+function extractMetaDescription(document) {
+  const meta =
+    document.querySelector('meta[property="og:description"]') ||
+    document.querySelector('meta[name="twitter:description"]') ||
+    document.querySelector('meta[name="description"]');
+
+  const content = meta?.getAttribute("content");
+  if (!content) return null;
+  const title = document.querySelector('meta[property="og:title"]')?.getAttribute("content");
+  return buildJobPosting({ title }, sectionsFromText(content));
+}
+
+function extractFromAshby(document) {
+  const script = document.querySelector('script#__NEXT_DATA__');
+  if (!script?.textContent) return null;
+  const parsed = safeJsonParse(script.textContent);
+  const job =
+    parsed?.props?.pageProps?.job ||
+    parsed?.props?.pageProps?.posting ||
+    parsed?.props?.pageProps?.data?.job;
+
+  if (!job) return null;
+  const html = job?.descriptionHtml || job?.description || job?.descriptionHTML;
+  if (!html) return null;
+  return buildJobPosting({ title: job.title, location: job.locationName }, sectionsFromHtml(html));
+}
+
+function extractFromLever(document, html) {
+  const posting = document.querySelector(".posting") || document.querySelector(".posting-page");
+  if (posting) {
+    const title = document.querySelector(".posting-headline h2")?.textContent;
+    const location = document.querySelector(".posting-categories .location")?.textContent;
+    return buildJobPosting({ title, location }, sectionsFromElement(posting));
+  }
+
+  const match = html.match(/window\.__lever__\s*=\s*(\{[\s\S]*?\});/);
+  if (!match) return null;
+  const parsed = safeJsonParse(match[1]);
+  const text = parsed?.posting?.text || parsed?.posting?.description;
+  return text ? buildJobPosting({}, sectionsFromHtml(text)) : null;
+}
+
+function extractFromGreenhouse(document) {
+  const content =
+    document.querySelector("#content") ||
+    document.querySelector(".content") ||
+    document.querySelector("main");
+  if (!content) return null;
+  const title = document.querySelector("h1.app-title, h1")?.textContent;
+  return buildJobPosting({ title }, sectionsFromElement(content));
+}
+
+function extractFromWorkday(document) {
+  const script = Array.from(document.querySelectorAll('script[type="application/json"]')).find(
+    (item) => item.textContent && item.textContent.includes("jobPostingInfo")
+  );
+  if (script?.textContent) {
+    const parsed = safeJsonParse(script.textContent);
+    const job = parsed?.jobPostingInfo || parsed?.data?.jobPostingInfo;
+    const description = job?.jobDescription || job?.jobDescriptionHtml;
+    if (description) {
+      return buildJobPosting({ title: job.title, location: job.location }, sectionsFromHtml(String(description)));
+    }
+  }
+
+  return buildJobPosting({}, sectionsFromElement(document.body));
+}
+
+function extractFromSmartRecruiters(document) {
+  const content =
+    document.querySelector(".job-sections") ||
+    document.querySelector('[itemprop="description"]');
+  if (!content) return null;
+  const title = document.querySelector(".job-title")?.textContent;
+  return buildJobPosting({ title }, sectionsFromElement(content));
+}
+
+function extractFromTeamtailor(document) {
+  const content =
+    document.querySelector("main .prose") ||
+    document.querySelector("[data-job-description]") ||
+    document.querySelector("main");
+  if (!content) return null;
+  return buildJobPosting({ title: document.querySelector("h1")?.textContent }, sectionsFromElement(content));
+}
+
+function extractFromIcims(document) {
+  // The containers are nested on most iCIMS pages, so only the outermost ones are read.
+  const matches = Array.from(
+    document.querySelectorAll(".iCIMS_JobContent, .iCIMS_InfoMsg_Job, .iCIMS_Expandable_Text")
+  );
+  const sections = matches.filter((element) => !matches.some((other) => other !== element && other.contains(element)));
+  if (!sections.length) return null;
+  const title = document.querySelector(".iCIMS_Header, h1")?.textContent;
+  return buildJobPosting({ title }, sections.flatMap((section) => sectionsFromElement(section)));
+}
+
+function extractFromRecruitee(document) {
+  const content =
+    document.querySelector('[data-testid="offer-description"]') ||
+    document.querySelector(".offer-description") ||
+    document.querySelector("main");
+  if (!content) return null;
+  return buildJobPosting({ title: document.querySelector("h1")?.textContent }, sectionsFromElement(content));
+}
+
+function extractFromLinkedIn(document) {
+  const content =
+    document.querySelector(".show-more-less-html__markup") ||
+    document.querySelector(".description__text");
+  if (!content) return null;
+  return buildJobPosting(
+    {
+      title: document.querySelector(".top-card-layout__title, h1")?.textContent,
+      company: document.querySelector(".topcard__org-name-link")?.textContent,
+      location: document.querySelector(".topcard__flavor--bullet")?.textContent
+    },
+    sectionsFromElement(content)
+  );
+}
+
+function extractFromATS(document, html, url) {
+  const hostname = url ? new URL(url).hostname : "";
+
+  if (hostname.includes("ashbyhq.com")) {
+    const result = extractFromAshby(document);
+    if (result) return { ...result, method: "ats-ashby" };
+  }
+
+  if (hostname.includes("lever.co")) {
+    const result = extractFromLever(document, html);
+    if (result) return { ...result, method: "ats-lever" };
+  }
+
+  if (hostname.includes("greenhouse.io")) {
+    const result = extractFromGreenhouse(document);
+    if (result) return { ...result, method: "ats-greenhouse" };
+  }
+
+  if (hostname.includes("myworkdayjobs.com") || hostname.includes("workday")) {
+    const result = extractFromWorkday(document);
+    if (result) return { ...result, method: "ats-workday" };
+  }
+
+  if (hostname.includes("smartrecruiters.com")) {
+    const result = extractFromSmartRecruiters(document);
+    if (result) return { ...result, method: "ats-smartrecruiters" };
+  }
+
+  if (hostname.includes("teamtailor.com")) {
+    const result = extractFromTeamtailor(document);
+    if (result) return { ...result, method: "ats-teamtailor" };
+  }
+
+  if (hostname.includes("icims.com")) {
+    const result = extractFromIcims(document);
+    if (result) return { ...result, method: "ats-icims" };
+  }
+
+  if (hostname.includes("recruitee.com")) {
+    const result = extractFromRecruitee(document);
+    if (result) return { ...result, method: "ats-recruitee" };
+  }
+
+  if (hostname.includes("linkedin.com")) {
+    const result = extractFromLinkedIn(document);
+    if (result) return { ...result, method: "ats-linkedin" };
+  }
+
+  return null;
+}
+
+// Boards whose job pages are rendered client-side, or that publish the same
+// posting through a public endpoint, are read from that endpoint before we
+// fall back to scraping the page.
+const ATS_ENDPOINTS = [
+  {
+    method: "ats-smartrecruiters-api",
+    endpoint: (target) => {
+      if (!/(^|\.)smartrecruiters\.com$/.test(target.hostname)) return null;
+      const match = target.pathname.match(/^\/([^/]+)\/(\d+)/);
+      return match
+        ? `https://api.smartrecruiters.com/v1/companies/${match[1]}/postings/${match[2]}`
+        : null;
+    },
+    parse: (data) => {
+      const sections = data?.jobAd?.sections || {};
+      return buildJobPosting(
+        {
+          title: data?.name,
+          company: data?.company?.name,
+          location: [data?.location?.city, data?.location?.country?.toUpperCase()].filter(Boolean).join(", "),
+          employmentType: data?.typeOfEmployment?.label,
+          datePosted: data?.releasedDate?.slice(0, 10)
+        },
+        [
+          ...sectionsFromHtml(sections.jobDescription?.text, sections.jobDescription?.title),
+          ...sectionsFromHtml(sections.qualifications?.text, sections.qualifications?.title),
+          ...sectionsFromHtml(sections.additionalInformation?.text, sections.additionalInformation?.title),
+          ...sectionsFromHtml(sections.companyDescription?.text, sections.companyDescription?.title)
+        ]
+      );
+    }
+  },
+  {
+    method: "ats-workable-api",
+    endpoint: (target) => {
+      if (target.hostname !== "apply.workable.com") return null;
+      const match = target.pathname.match(/^\/([^/]+)\/j\/([^/]+)/);
+      return match
+        ? `https://apply.workable.com/api/v2/accounts/${match[1]}/jobs/${match[2]}`
+        : null;
+    },
+    parse: (data) =>
+      buildJobPosting(
+        {
+          title: data?.title,
+          location: [data?.location?.city, data?.location?.country].filter(Boolean).join(", "),
+          employmentType: data?.type
+        },
+        [
+          ...sectionsFromHtml(data?.description, "Description"),
+          ...sectionsFromHtml(data?.requirements, "Requirements"),
+          ...sectionsFromHtml(data?.benefits, "Benefits")
+        ]
+      )
+  },
+  {
+    method: "ats-recruitee-api",
+    endpoint: (target) => {
+      if (!target.hostname.endsWith(".recruitee.com")) return null;
+      const match = target.pathname.match(/^\/o\/([^/]+)/);
+      return match ? `https://${target.hostname}/api/offers/${match[1]}` : null;
+    },
+    parse: (data) =>
+      buildJobPosting(
+        { title: data?.offer?.title, company: data?.offer?.company_name, location: data?.offer?.location },
+        [
+          ...sectionsFromHtml(data?.offer?.description, "Description"),
+          ...sectionsFromHtml(data?.offer?.requirements, "Requirements")
+        ]
+      )
+  },
+  {
+    method: "ats-bamboohr-api",
+    endpoint: (target) => {
+      if (!target.hostname.endsWith(".bamboohr.com")) return null;
+      const id = target.pathname.match(/^\/careers\/(\d+)/)?.[1] || target.searchParams.get("id");
+      return id ? `https://${target.hostname}/careers/${id}/detail` : null;
+    },
+    parse: (data) => {
+      const job = data?.result?.jobOpening;
+      return buildJobPosting({ title: job?.jobOpeningName }, sectionsFromHtml(job?.description));
+    }
+  },
+  {
+    method: "ats-icims-frame",
+    format: "html",
+    endpoint: (target) => {
+      if (!target.hostname.endsWith(".icims.com") || !/\/jobs\/\d+/.test(target.pathname)) return null;
+      const frame = new URL(target);
+      frame.searchParams.set("in_iframe", "1");
+      return frame.toString();
+    },
+    parse: (html, endpoint) => extractFromIcims(new JSDOM(html, { url: endpoint }).window.document)
+  },
+  {
+    method: "ats-linkedin-guest",
+    format: "html",
+    endpoint: (target) => {
+      if (!/(^|\.)linkedin\.com$/.test(target.hostname)) return null;
+      const id =
+        target.searchParams.get("currentJobId") ||
+        target.pathname.match(/^\/jobs\/view\/(?:[^/]*-)?(\d+)/)?.[1];
+      return id ? `https://www.linkedin.com/jobs-guest/jobs/api/jobPosting/${id}` : null;
+    },
+    parse: (html, endpoint) => extractFromLinkedIn(new JSDOM(html, { url: endpoint }).window.document)
+  }
+];
+
+async function fetchFromAtsEndpoint(url, attempts) {
+  const target = new URL(url);
+  const source = ATS_ENDPOINTS.find((item) => item.endpoint(target));
+  if (!source) return null;
+
+  const endpoint = source.endpoint(target);
+  const started = Date.now();
+  try {
+    const response = await safeFetch(endpoint, { accept: source.format === "html" ? "text/html" : "application/json" });
+    if (!response.ok) {
+      recordAttempt(attempts, source.method, started, "", `HTTP ${response.status}`);
+      return null;
+    }
+    const result = source.parse(source.format === "html" ? response.text : safeJsonParse(response.text), endpoint);
+    return recordAttempt(attempts, source.method, started, result?.text) ? { ...result, method: source.method } : null;
+  } catch (err) {
+    recordAttempt(attempts, source.method, started, "", err.message);
+    return null;
+  }
+}
+
+function extractWithReadability(html, url) {
+  const dom = new JSDOM(html, { url });
+  const reader = new Readability(dom.window.document);
+  const article = reader.parse();
+  if (!article?.content) return null;
+  return buildJobPosting({ title: article.title, company: article.siteName }, sectionsFromHtml(article.content));
+}
+
+function parseJinaResponse(body) {
+  // Jina prefixes the page markdown with "Title:", "URL Source:" and "Markdown Content:" lines.
+  const title = body.match(/^Title:\s*(.+)$/m)?.[1];
+  const marker = body.indexOf("Markdown Content:");
+  const markdown = marker === -1 ? body : body.slice(marker + "Markdown Content:".length);
+  return buildJobPosting({ title }, sectionsFromText(markdown));
+}
+function recordAttempt(attempts, method, started, text, failure = null) {
+  const length = text?.length || 0;
+  const ok = !failure && length >= 200;
+  attempts.push({
+    method,
+    ok,
+    length,
+    ms: Date.now() - started,
+    reason: ok ? null : failure || (length ? "too short" : "no text")
+  });
+  return ok;
+}
+
+function parseJobTextFromHtml({ html, url, sourceLabel = "direct", attempts = [] }) {
+  const dom = new JSDOM(html, { url });
+  const document = dom.window.document;
+
+  let started = Date.now();
+  const jsonLd = extractJsonLdJobPosting(document);
+  if (recordAttempt(attempts, "jsonld", started, jsonLd?.text)) {
+    return { ...jsonLd, method: "jsonld" };
+  }
+
+  started = Date.now();
+  const ats = extractFromATS(document, html, url);
+  if (recordAttempt(attempts, ats?.method || "ats", started, ats?.text)) {
+    return ats;
+  }
+
+  started = Date.now();
+  const readability = extractWithReadability(html, url);
+  if (recordAttempt(attempts, "readability", started, readability?.text)) {
+    return { ...readability, method: "readability" };
+  }
+
+  started = Date.now();
+  const meta = extractMetaDescription(document);
+  if (recordAttempt(attempts, "meta", started, meta?.text)) {
+    return { ...meta, method: "meta" };
+  }
+
+  started = Date.now();
+  const plain = buildJobPosting({ title: document.title }, sectionsFromElement(document.body)) || { text: "", posting: null };
+  recordAttempt(attempts, sourceLabel, started, plain.text);
+  return { ...plain, method: sourceLabel };
+}
+
+const RENDER_BLOCKED_RESOURCE_TYPES = new Set(["image", "media", "font", "stylesheet"]);
+const RENDER_BLOCKED_HOSTS =
+  /(google-analytics|googletagmanager|doubleclick|facebook\.net|connect\.facebook|hotjar|segment\.(io|com)|intercom|optimizely|newrelic|nr-data|sentry|fullstory|clarity\.ms)/i;
+
+let headlessBrowser = null;
+
+function getHeadlessBrowser() {
+  if (!headlessBrowser) {
+    headlessBrowser = import("playwright")
+      .catch(() => {
+        throw new Error('RENDER_PROVIDER=playwright needs the "playwright" package: run npm install playwright && npx playwright install chromium');
+      })
+      // WebRTC can reach addresses the request route never sees, so it is kept off the local network.
+      .then(({ chromium }) =>
+        chromium.launch({ headless: true, args: ["--force-webrtc-ip-handling-policy=disable_non_proxied_udp"] })
+      );
+    headlessBrowser.catch(() => {
+      headlessBrowser = null;
+    });
+  }
+  return headlessBrowser;
+}
+
+const RENDER_DROPPED_RESPONSE_HEADERS = new Set(["content-encoding", "content-length", "transfer-encoding", "connection"]);
+
+// Chromium never connects anywhere itself while rendering. Each request it makes is fetched
+// here through publicOnlyLookup, the same address check safeFetch uses, and handed back.
+// That check runs on the address actually connected to, so DNS rebinding cannot slip a
+// private address past it. Redirects are passed back unfollowed, so Chromium requests the
+// next hop through the same route.
+async function fetchForRender(request, signal) {
+  const target = parseFetchUrl(request.url());
+  const client = target.protocol === "https:" ? https : http;
+  const headers = { ...request.headers(), "accept-encoding": "gzip, deflate, br" };
+  delete headers.host;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      target,
+      { method: request.method(), lookup: publicOnlyLookup, signal, headers },
+      (response) => {
+        readResponseBody(response, FETCH_MAX_BYTES)
+          .then((body) => {
+            const responseHeaders = {};
+            Object.entries(response.headers).forEach(([name, value]) => {
+              if (!RENDER_DROPPED_RESPONSE_HEADERS.has(name)) responseHeaders[name] = [].concat(value).join("\n");
+            });
+            resolve({ status: response.statusCode, headers: responseHeaders, body });
+          })
+          .catch(reject);
+      }
+    );
+    req.on("error", reject);
+    req.end(request.postDataBuffer() || undefined);
+  });
+}
+
+async function renderWithPlaywright(url) {
+  const deadline = Date.now() + RENDER_TIMEOUT_MS;
+  await assertPublicUrl(url);
+  const browser = await getHeadlessBrowser();
+  const context = await browser.newContext({
+    userAgent: FETCH_USER_AGENT,
+    serviceWorkers: "block"
+  });
+
+  try {
+    await context.route("**/*", async (route) => {
+      const request = route.request();
+      if (
+        RENDER_BLOCKED_RESOURCE_TYPES.has(request.resourceType()) ||
+        RENDER_BLOCKED_HOSTS.test(new URL(request.url()).hostname)
+      ) {
+        return route.abort();
+      }
+      let response;
+      try {
+        response = await fetchForRender(request, AbortSignal.timeout(Math.max(deadline - Date.now(), 1)));
+      } catch {
+        return route.abort().catch(() => {});
+      }
+      return route.fulfill(response).catch(() => {});
+    });
+    // WebSockets are not covered by context.route and would otherwise connect directly.
+    await context.routeWebSocket(/.*/, (socket) => socket.close());
+    const page = await context.newPage();
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: RENDER_TIMEOUT_MS });
+    // Client-rendered boards fetch the posting after load; give them until the deadline to settle.
+    await page.waitForLoadState("networkidle", { timeout: Math.max(deadline - Date.now(), 1) }).catch(() => {});
+    return await page.content();
+  } finally {
+    await context.close();
+  }
+}
+
+const RENDER_PROVIDERS = {
+  playwright: renderWithPlaywright
+};
+
+async function renderJobPage(url, attempts) {
+  const render = RENDER_PROVIDERS[RENDER_PROVIDER];
+  if (!render) {
+    if (RENDER_PROVIDER !== "none") {
+      recordAttempt(attempts, "render", Date.now(), "", `Unsupported RENDER_PROVIDER "${RENDER_PROVIDER}"`);
+    }
+    return null;
+  }
+
+  const started = Date.now();
+  try {
+    const html = await render(url);
+    const parsed = parseJobTextFromHtml({ html, url, sourceLabel: "render" });
+    if (!recordAttempt(attempts, "render", started, parsed.text)) return null;
+    return { ...parsed, method: parsed.method === "render" ? "render" : `render-${parsed.method}` };
+  } catch (err) {
+    recordAttempt(attempts, "render", started, "", err.message);
+    return null;
+  }
+}
+
+async function fetchJobText(url, attempts = []) {
+  parseFetchUrl(url);
+
+  const fromEndpoint = await fetchFromAtsEndpoint(url, attempts);
+  if (fromEndpoint) {
+    return fromEndpoint;
+  }
+
+  let started = Date.now();
+  let failure;
+  try {
+    const response = await safeFetch(url);
+    if (response.ok) {
+      const parsed = parseJobTextFromHtml({ html: response.text, url, sourceLabel: "direct", attempts });
+      if (parsed.text.length >= 200) {
+        return parsed;
+      }
+      failure = fetchError("no_text", "Not enough readable text found on the page.");
+    } else {
+      recordAttempt(attempts, "direct", started, "", `HTTP ${response.status}`);
+      failure = fetchError("http_error", `The job page returned HTTP ${response.status}.`);
+    }
+  } catch (err) {
+    recordAttempt(attempts, "direct", started, "", err.message);
+    if (err.code === "blocked_address" || err.code === "invalid_url") throw err;
+    failure = err;
+  }
+
+  const rendered = await renderJobPage(url, attempts);
+  if (rendered) {
+    return rendered;
+  }
+
+  if (!JINA_FALLBACK) {
+    throw failure;
+  }
+
+  const readers = [
+    ["jina", `https://r.jina.ai/${url}`],
+    ["jina-double", `https://r.jina.ai/http://r.jina.ai/${url}`]
+  ];
+  for (const [method, readerUrl] of readers) {
+    started = Date.now();
+    try {
+      const response = await safeFetch(readerUrl, { accept: "text/plain" });
+      if (!response.ok) {
+        recordAttempt(attempts, method, started, "", `HTTP ${response.status}`);
+        continue;
+      }
+      const reader = parseJinaResponse(response.text);
+      if (recordAttempt(attempts, method, started, reader?.text)) {
+        return { ...reader, method };
+      }
+    } catch (err) {
+      recordAttempt(attempts, method, started, "", err.message);
+    }
+  }
+
+  throw failure;
+}
+
+const RTF_SKIP_DESTINATIONS = new Set([
+  "fonttbl",
+  "colortbl",
+  "stylesheet",
+  "info",
+  "pict",
+  "object",
+  "header",
+  "headerl",
+  "headerr",
+  "footer",
+  "footerl",
+  "footerr",
+  "listtable",
+  "listoverridetable",
+  "rsidtbl",
+  "themedata",
+  "colorschememapping",
+  "latentstyles",
+  "datastore",
+  "xmlnstbl",
+  "generator",
+  "fldinst"
+]);
+const RTF_SYMBOLS = {
+  par: "\n",
+  line: "\n",
+  sect: "\n",
+  page: "\n",
+  row: "\n",
+  cell: " ",
+  tab: "\t",
+  bullet: "•",
+  emdash: "—",
+  endash: "–",
+  lquote: "‘",
+  rquote: "’",
+  ldblquote: "“",
+  rdblquote: "”"
+};
+
+function rtfToText(rtf) {
+  const cp1252 = new TextDecoder("windows-1252");
+  const tokens = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|[^\\{}\r\n]+/gi;
+  const stack = [];
+  let skip = false;
+  // After \uN the reader skips one fallback character for non-Unicode readers.
+  let fallback = 0;
+  let text = "";
+
+  for (const [token, word, param, hex, symbol, brace] of rtf.matchAll(tokens)) {
+    if (brace === "{") {
+      stack.push(skip);
+    } else if (brace === "}") {
+      skip = stack.pop() ?? false;
+    } else if (symbol === "*" || RTF_SKIP_DESTINATIONS.has(word)) {
+      skip = true;
+    } else if (skip || /^[\r\n]+$/.test(token)) {
+      continue;
+    } else if (word) {
+      fallback = 0;
+      if (word === "u" && param) {
+        text += String.fromCharCode(Number(param) < 0 ? Number(param) + 65536 : Number(param));
+        fallback = 1;
+      } else if (RTF_SYMBOLS[word]) {
+        text += RTF_SYMBOLS[word];
+      }
+    } else if (hex) {
+      if (fallback) {
+        fallback -= 1;
+      } else {
+        text += cp1252.decode(Uint8Array.of(parseInt(hex, 16)));
+      }
+    } else if (symbol) {
+      if ("\\{}".includes(symbol)) text += symbol;
+      if (symbol === "~") text += " ";
+    } else {
+      text += token.slice(fallback);
+      fallback = 0;
+    }
+  }
+
+  return text;
+}
+
+const UPLOAD_TYPES = [
+  {
+    method: "upload-pdf",
+    extensions: [".pdf"],
+    signature: "%PDF",
+    extract: async (buffer) => {
+      const pdf = await getDocumentProxy(new Uint8Array(buffer));
+      const { text } = await extractText(pdf, { mergePages: false });
+      return buildJobPosting({}, sectionsFromText(text.join("\n")));
+    }
+  },
+  {
+    method: "upload-docx",
+    extensions: [".docx"],
+    extract: async (buffer) => {
+      const { value } = await mammoth.convertToHtml({ buffer });
+      return buildJobPosting({}, sectionsFromHtml(value));
+    }
+  },
+  {
+    method: "upload-rtf",
+    extensions: [".rtf"],
+    signature: "{\\rtf",
+    extract: async (buffer) => buildJobPosting({}, sectionsFromText(rtfToText(buffer.toString("latin1"))))
+  },
+  {
+    method: "upload-html",
+    extensions: [".html", ".htm"],
+    extract: async (buffer) => {
+      const parsed = parseJobTextFromHtml({ html: buffer.toString("utf8"), sourceLabel: "text" });
+      return parsed.posting ? { text: parsed.text, posting: parsed.posting, extractor: parsed.method } : null;
+    }
+  },
+  {
+    method: "upload-text",
+    extensions: [".txt", ".md"],
+    extract: async (buffer) => buildJobPosting({}, sectionsFromText(buffer.toString("utf8")))
+  }
+];
+
+async function extractUploadedFile(file) {
+  const buffer = Buffer.from(await file.arrayBuffer());
+  const extension = extname(file.name || "").toLowerCase();
+  const head = buffer.subarray(0, 8).toString("latin1");
+  const type =
+    UPLOAD_TYPES.find((item) => item.extensions.includes(extension)) ||
+    UPLOAD_TYPES.find((item) => item.signature && head.startsWith(item.signature));
+  if (!type) {
+    const err = new Error("Unsupported file type. Upload a PDF, DOCX, RTF, HTML or text file.");
+    err.status = 415;
+    err.code = "unsupported_file";
+    throw err;
+  }
+
+  let result;
+  try {
+    result = await type.extract(buffer);
+  } catch {
+    result = null;
+  }
+  if (!result || result.text.length < 200) {
+    const err = new Error(`Could not read enough text from ${file.name || "the file"}.`);
+    err.status = 422;
+    err.code = "no_text";
+    throw err;
+  }
+
+  return { ...result, method: type.method };
+}
+
+const SENIORITY_PATTERNS = [
+  ["director", /\b(director|vp|head of \w+)\b/],
+  ["staff", /\b(staff|principal|lead)\b/],
+  ["senior", /\b(senior|sr\.?|senior-level)\b/],
+  ["mid", /\b(mid|mid-level|intermediate)\b/],
+  ["junior", /\b(junior|jr\.?|entry[- ]level)\b/]
+];
+
+function inferSeniorityFromText(jobText, url, language = detectLanguage(jobText)) {
+  const text = (jobText || "").toLowerCase();
+  const urlText = (url || "").toLowerCase();
+  const combined = `${text} ${urlText}`;
+  const localized = getLanguage(language).seniority || {};
+
+  const match = SENIORITY_PATTERNS.find(
+    ([level, pattern]) => pattern.test(combined) || Boolean(localized[level]?.test(combined))
+  );
+  return match ? match[0] : "unknown";
+}
+
+const SHARED_DOMAIN_SIGNALS = [
+  ["b2b", /\b(b2b|business[- ]to[- ]business)\b/],
+  ["enterprise", /\b(enterprise|large[- ]scale|regulated|compliance)\b/],
+  ["consumer", /\b(consumer|b2c|consumer[- ]facing)\b/],
+  ["saas", /\b(saas|subscription)\b/],
+  ["mobile", /\b(mobile|ios|android)\b/],
+  ["web", /\b(web|responsive|dashboard)\b/],
+  ["multi-platform", /\b(multi[- ]platform|cross[- ]platform)\b/]
+];
+const SHARED_TEAM_SIGNALS = [
+  ["stakeholder management", /\b(stakeholder|stakeholders)\b/],
+  ["cross-functional", /\b(cross[- ]functional|product manager|engineering|marketing|data)\b/],
+  ["leadership", /\b(leadership|influence|strategy)\b/]
+];
+
+function extractSignals(jobText, profileId, language = detectLanguage(jobText)) {
+  const text = (jobText || "").toLowerCase();
+  const has = (pattern) => Boolean(pattern?.test(text));
+  const dictionary = getLanguage(language);
+  const localized = dictionary.signals || {};
+  const tags = [];
+
+  for (const [tag, pattern] of [...SHARED_DOMAIN_SIGNALS, ...getRoleProfile(profileId).signals, ...SHARED_TEAM_SIGNALS]) {
+    if ((has(pattern) || has(localized[tag])) && !tags.includes(tag)) tags.push(tag);
+  }
+
+  let domain = "unknown";
+  if (tags.includes("b2b")) domain = "b2b";
+  else if (tags.includes("enterprise")) domain = "enterprise";
+  else if (tags.includes("saas")) domain = "saas";
+  else if (tags.includes("consumer")) domain = "consumer";
+
+  // "Product manager" names a role to partner with (or the role itself), not people management.
+  const teamText = text.replace(/\b(product|program|project) (managers?|management)\b/g, "");
+  const managerSignals =
+    /\b(manager|management|people manager|hiring|mentorship|mentoring|performance reviews)\b/.test(teamText) ||
+    has(dictionary.management);
+  const icSignals = has(/\b(individual contributor|ic)\b/);
+  let roleType = "unknown";
+  if (managerSignals && icSignals) roleType = "mixed";
+  else if (managerSignals) roleType = "manager";
+  else if (icSignals) roleType = "ic";
+
+  return { signals: tags.slice(0, 10), domain, role_type: roleType };
+}
+
+function inferFocusFromText(jobText, profileId) {
+  const text = (jobText || "").toLowerCase();
+  const profile = getRoleProfile(profileId);
+  const match = profile.focus.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : profile.defaultFocus;
+}
+
+const FIXTURE_THEMES = [
+  {
+    theme: "Strategy & Problem Framing",
+    questions: [
+      (signal) => `Tell me about a time you reframed an ambiguous ${signal} problem before committing to a solution.`,
+      () => "Describe a project where you pushed back on the initial brief. What evidence did you use?"
+    ]
+  },
+  {
+    theme: "End-to-End Execution",
+    questions: [
+      (signal) => `Walk me through a project you owned from discovery to launch where ${signal} was central. What did you cut to ship it?`,
+      () => "Give an example of a deadline that forced you to change your process. What tradeoffs did you make?"
+    ]
+  },
+  {
+    theme: "Collaboration & Influence",
+    questions: [
+      () => "Tell me about a time you disagreed with a product or engineering partner. How did you resolve it?",
+      (signal) => `Describe how you brought skeptical stakeholders along on a decision about ${signal}.`
+    ]
+  },
+  {
+    theme: "Impact & Metrics",
+    questions: [
+      () => "Give an example of a design decision you measured after launch. What changed as a result?",
+      (signal) => `Tell me about an initiative involving ${signal} that did not land the way you expected. What did you learn?`
+    ]
+  }
+];
+
+// Profiles and languages without hand-written fixture themes get these questions under the profile's taxonomy.
+const FIXTURE_PROFILE_QUESTIONS = {
+  en: [
+    (theme, signal) => `Tell me about a project involving ${signal} that shows how you approach ${theme.toLowerCase()}.`,
+    (theme) => `Describe the hardest call you made on ${theme.toLowerCase()}. What did you trade off?`
+  ],
+  de: [
+    (theme, signal) => `Erzählen Sie von einem Projekt rund um ${signal}, das Ihre Arbeitsweise bei „${theme}“ zeigt.`,
+    (theme) => `Beschreiben Sie die schwierigste Entscheidung, die Sie bei „${theme}“ getroffen haben. Was haben Sie abgewogen?`
+  ],
+  fr: [
+    (theme, signal) => `Parlez-moi d'un projet lié à ${signal} qui montre votre approche de « ${theme} ».`,
+    (theme) => `Décrivez la décision la plus difficile que vous avez prise sur « ${theme} ». Quels compromis avez-vous faits ?`
+  ],
+  pt: [
+    (theme, signal) => `Conte sobre um projeto envolvendo ${signal} que mostre como você lida com "${theme}".`,
+    (theme) => `Descreva a decisão mais difícil que você tomou em "${theme}". O que você precisou equilibrar?`
+  ]
+};
+
+function buildFixtureAnalysis({ jobText, jobUrl, profile, language = DEFAULT_LANGUAGE, company }) {
+  const extracted = extractSignals(jobText, profile);
+  const signals = extracted.signals.length ? extracted.signals : ["product"];
+  const roleProfile = getRoleProfile(profile);
+  const templates = FIXTURE_PROFILE_QUESTIONS[language] || FIXTURE_PROFILE_QUESTIONS.en;
+  const blocks =
+    roleProfile === ROLE_PROFILES.design && templates === FIXTURE_PROFILE_QUESTIONS.en
+      ? FIXTURE_THEMES
+      : roleProfile.themes.slice(0, 4).map((theme) => ({
+          theme,
+          questions: templates.map((template) => (signal) => template(theme, signal))
+        }));
+
+  return {
+    role_level: inferSeniorityFromText(jobText, jobUrl),
+    role_type: extracted.role_type,
+    domain: extracted.domain,
+    focus: inferFocusFromText(jobText, profile),
+    signals: extracted.signals,
+    themes: [
+      ...blocks.map((block, index) => ({
+        theme: block.theme,
+        questions: block.questions.map((template, offset) => template(signals[(index + offset) % signals.length]))
+      })),
+      ...(company?.values?.length
+        ? [
+            {
+              theme: `${company.name} values: ${company.values[0]}`,
+              questions: [`Tell me about a time your work showed "${company.values[0]}". What did you do, and what changed?`]
+            }
+          ]
+        : [])
+    ]
+  };
+}
+
+const FIXTURE_FOLLOW_UP_TEMPLATES = [
+  (signal) => `Tell me about a time work on ${signal} forced you to change your original plan.`,
+  (signal) => `Describe the hardest tradeoff you made on a project involving ${signal}.`,
+  (signal) => `Give an example of how you measured success on work related to ${signal}.`,
+  (signal) => `Tell me about a mistake you made on a project involving ${signal} and how you recovered.`,
+  (signal) => `Describe a time you had to defend a decision about ${signal} to leadership.`
+];
+
+function buildFixtureMoreQuestions({ analysis, shown }) {
+  const signals = analysis?.signals?.length ? analysis.signals : ["product"];
+  const templateCount = FIXTURE_FOLLOW_UP_TEMPLATES.length;
+  const candidates = FIXTURE_FOLLOW_UP_TEMPLATES.flatMap((_, offset) =>
+    signals.map((signal, index) => FIXTURE_FOLLOW_UP_TEMPLATES[(index + offset) % templateCount](signal))
+  ).filter((question) => !isDuplicateQuestion(question, shown || []));
+
+  return {
+    themes: (analysis?.themes || [])
+      .map((block) => ({ theme: block.theme, questions: candidates.splice(0, 2) }))
+      .filter((block) => block.questions.length)
+  };
+}
+
+const FIXTURE_STAR_PATTERNS = {
+  situation: /\b(when i|at my (last|previous)|we were|our team|the company|context|background)\b/,
+  task: /\b(my (role|goal|task|job|responsibility)|i was (asked|responsible|tasked)|needed to|had to)\b/,
+  action: /\b(i (led|designed|ran|built|proposed|created|facilitated|partnered|prototyped|tested|decided|interviewed|aligned))\b/,
+  result: /(\b(result|increased|decreased|reduced|improved|grew|launched|shipped|learned|impact)\b|%)/
+};
+
+function buildFixtureFeedback({ answer, signals, roleLevel }) {
+  const text = (answer || "").toLowerCase();
+  const star = Object.fromEntries(
+    Object.entries(FIXTURE_STAR_PATTERNS).map(([part, pattern]) => {
+      const hits = (text.match(new RegExp(pattern.source, "g")) || []).length;
+      const score = Math.min(5, hits * 2 + (hits ? 1 : 0));
+      return [
+        part,
+        { score, comment: score ? `Mentions the ${part}.` : `The ${part} is missing or implicit.` }
+      ];
+    })
+  );
+  const matched = (signals || []).filter((signal) => text.includes(signal.toLowerCase()));
+  const missing = (signals || []).filter((signal) => !matched.includes(signal));
+  const seniorLevels = ["senior", "lead", "staff", "director"];
+  const ownsScope = /\b(i (led|owned|drove|decided)|strategy|roadmap|mentor)/.test(text);
+  const levelScore = seniorLevels.includes(roleLevel) ? (ownsScope ? 4 : 2) : 3;
+  const improvements = Object.entries(star)
+    .filter(([, value]) => value.score < 3)
+    .map(([part]) => `Add a clear ${part}: one or two sentences the interviewer can follow.`);
+  if (missing.length) {
+    improvements.push(`Connect the story to ${missing.slice(0, 2).join(" and ")}, which the posting emphasizes.`);
+  }
+
+  return {
+    star,
+    signal_alignment: {
+      score: Math.min(5, matched.length * 2),
+      matched_signals: matched,
+      missing_signals: missing,
+      comment: matched.length ? "References some of the role's signals." : "Does not reference the role's signals."
+    },
+    level_fit: {
+      score: levelScore,
+      comment: ownsScope ? "Shows ownership of decisions." : "Ownership and scope are unclear."
+    },
+    overall_score: Math.round(
+      (Object.values(star).reduce((sum, value) => sum + value.score, 0) / 4 + levelScore) / 2
+    ),
+    strengths: Object.entries(star)
+      .filter(([, value]) => value.score >= 3)
+      .map(([part]) => `The ${part} is easy to follow.`)
+      .slice(0, 3),
+    improvements
+  };
+}
+
+function buildFixtureJobSummary({ sections = [] }) {
+  return {
+    sections: sections.map((section) => ({
+      heading: section.heading,
+      bullets: [
+        ...section.paragraphs.map((text) => text.split(/(?<=[.!?])\s/)[0]),
+        ...section.bullets
+      ].slice(0, 8)
+    }))
+  };
+}
+
+const FIXTURE_RESUME_VERBS =
+  /\b(led|designed|launched|shipped|built|created|redesigned|owned|drove|ran|increased|reduced|improved|grew|mentored|managed)\b/i;
+
+function buildFixtureResumeReview({ resumeText, resumeLines = [], signals = [], roleLevel, profile }) {
+  const text = (resumeText || "").toLowerCase();
+  const resumeSignals = extractSignals(resumeText, profile).signals;
+  const covered = signals.filter(
+    (signal) => resumeSignals.includes(signal) || text.includes(signal.toLowerCase())
+  );
+  const missing = signals.filter((signal) => !covered.includes(signal));
+  const gaps = missing.slice(0, 5).map((signal, index) => ({
+    area: signal,
+    severity: index < 2 ? "high" : "medium",
+    detail: `The posting asks for ${signal}, but the resume does not show it.`,
+    suggestion: `Prepare one project story that shows ${signal}, even if it was not the main focus.`
+  }));
+  const seniorLevels = ["senior", "lead", "staff", "director"];
+  if (seniorLevels.includes(roleLevel) && !/\b(led|mentor|mentored|managed|owned|strategy)\b/.test(text)) {
+    gaps.push({
+      area: "Scope and ownership",
+      severity: "high",
+      detail: `The role is ${roleLevel}, but the resume does not show leading work or people.`,
+      suggestion: "Rewrite two bullets around decisions you owned and the people you brought along."
+    });
+  }
+
+  const projects = resumeLines
+    .filter((line) => FIXTURE_RESUME_VERBS.test(line))
+    .slice(0, 4);
+  const questions = projects.map((line) => {
+    const project = line.length > 90 ? `${line.slice(0, 87)}...` : line;
+    return /\d/.test(line)
+      ? {
+          project,
+          question: `You wrote "${project}". How did you measure that result, and what was your own contribution to it?`,
+          reason: "Numbers on a resume are the first thing interviewers verify."
+        }
+      : {
+          project,
+          question: `Walk me through "${project}". What was the hardest decision you made, and what did you trade off?`,
+          reason: "Interviewers probe the projects a resume leads with to separate team work from personal impact."
+        };
+  });
+  missing.slice(0, 2).forEach((signal) => {
+    questions.push({
+      project: "Resume overall",
+      question: `This role leans on ${signal}. Which project on your resume comes closest, and what did you do there?`,
+      reason: `The resume does not mention ${signal}, so expect the interviewer to look for it.`
+    });
+  });
+
+  return {
+    summary: covered.length
+      ? `The resume covers ${covered.length} of ${signals.length} role signals.`
+      : "The resume does not clearly cover any of the role's signals.",
+    strengths: covered.map((signal) => ({
+      area: signal,
+      evidence: resumeLines.find((line) => line.toLowerCase().includes(signal.toLowerCase())) || "Mentioned across the resume."
+    })),
+    gaps,
+    questions
+  };
+}
+
+const FIXTURE_INTERVIEW_PROBES = [
+  {
+    missing: /(\d|%|\b(metric|measured|increase|decrease|conversion|retention|nps)\b)/,
+    question: "How did you measure the impact of that work? What changed in the numbers?"
+  },
+  {
+    missing: /\b(i (decided|chose|led|proposed|owned|pushed))\b/,
+    question: "What was your personal decision in that project, as opposed to the team's?"
+  },
+  {
+    missing: /\b(tradeoff|trade-off|instead|cut|prioriti[sz]ed)\b/,
+    question: "What did you trade off to ship it, and how did you make that call?"
+  }
+];
+
+function buildFixtureInterviewTurn({ answer, followUps, asked = [] }) {
+  const text = (answer || "").toLowerCase();
+  const probe = FIXTURE_INTERVIEW_PROBES.find(
+    (item) => !item.missing.test(text) && !asked.includes(item.question)
+  );
+  const question = probe?.question || "Looking back, what would you do differently if you ran that project again?";
+  const moveOn = followUps > 0 && (!probe || text.length > 600);
+  return {
+    decision: moveOn ? "next_question" : "follow_up",
+    follow_up: moveOn ? "" : question,
+    note: probe ? "The answer leaves part of the story implicit." : "The answer covers the core of the story."
+  };
+}
+
+function buildFixtureInterviewDebrief({ themes = [], roleLevel }) {
+  const results = themes.map(({ theme, answers }) => {
+    const text = answers.join(" ").toLowerCase();
+    const parts = Object.entries(FIXTURE_STAR_PATTERNS).filter(([, pattern]) => pattern.test(text));
+    const score = answers.length ? Math.min(5, parts.length + (text.length > 600 ? 1 : 0)) : 0;
+    const missing = Object.keys(FIXTURE_STAR_PATTERNS).filter((part) => !parts.some(([name]) => name === part));
+    return {
+      theme,
+      score,
+      summary: answers.length
+        ? `Answered ${answers.length} question${answers.length === 1 ? "" : "s"} on ${theme.toLowerCase()}.`
+        : "Not answered.",
+      went_well: parts.map(([part]) => `The ${part} came through clearly.`).slice(0, 3),
+      improve: missing.map((part) => `Make the ${part} explicit.`).slice(0, 3)
+    };
+  });
+  const average = results.length ? results.reduce((sum, item) => sum + item.score, 0) / results.length : 0;
+  return {
+    overall: `Average score ${average.toFixed(1)}/5 across ${results.length} theme${results.length === 1 ? "" : "s"}.`,
+    level_fit:
+      average >= 3.5
+        ? `The answers are at the bar for a ${roleLevel} role.`
+        : `The answers are below the bar for a ${roleLevel} role: show more ownership and measurable results.`,
+    themes: results
+  };
+}
+
+const FIXTURE_BUILDERS = {
+  job_posting_summary: buildFixtureJobSummary,
+  design_role_questions: buildFixtureAnalysis,
+  more_design_role_questions: buildFixtureMoreQuestions,
+  answer_feedback: buildFixtureFeedback,
+  resume_review: buildFixtureResumeReview,
+  interview_turn: buildFixtureInterviewTurn,
+  interview_debrief: buildFixtureInterviewDebrief
+};
+
+const FIXTURE_STREAM_CHUNK = 48;
+
+async function* readServerSentEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, "\n");
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary >= 0) {
+      const data = buffer
+        .slice(0, boundary)
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n");
+      buffer = buffer.slice(boundary + 2);
+      if (data && data !== "[DONE]") yield safeJsonParse(data);
+      boundary = buffer.indexOf("\n\n");
+    }
+  }
+}
+
+async function collectStreamedText(response, pickDelta, onText) {
+  let text = "";
+  for await (const event of readServerSentEvents(response)) {
+    const delta = event ? pickDelta(event) : "";
+    if (typeof delta === "string" && delta) {
+      text += delta;
+      onText(delta);
+    }
+  }
+  return text;
+}
+
+async function completeWithFixture({ schema, context, onText }) {
+  const build = FIXTURE_BUILDERS[schema.name];
+  if (!build) {
+    throw new Error(`Fixture provider has no response for "${schema.name}".`);
+  }
+  const text = JSON.stringify(build(context || {}));
+  if (onText) {
+    for (let index = 0; index < text.length; index += FIXTURE_STREAM_CHUNK) {
+      onText(text.slice(index, index + FIXTURE_STREAM_CHUNK));
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+  return text;
+}
+
+async function completeWithOpenAI({ model, instructions, input, schema, onText }) {
+  if (!OPENAI_API_KEY) {
+    throw new Error("Missing OPENAI_API_KEY in environment.");
+  }
+
+  const response = await fetch("https://api.openai.com/v1/responses", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${OPENAI_API_KEY}`
+    },
+    body: JSON.stringify({
+      model,
+      instructions,
+      input,
+      text: {
+        format: {
+          type: "json_schema",
+          ...schema
+        }
+      },
+      stream: Boolean(onText)
+    })
+  });
+
+  if (!response.ok) {
+    const errText = await response.text();
+    throw new Error(`OpenAI error: ${response.status} ${errText}`);
+  }
+
+  if (onText) {
+    return collectStreamedText(
+      response,
+      (event) => (event.type === "response.output_text.delta" ? event.delta : ""),
+      onText
+    );
+  }
+
+  const data = await response.json();
+  const outputItems = Array.isArray(data.output) ? data.output : [];
+  const message = outputItems.find((item) => item.type === "message");
+  const content = message?.content || [];
+  const textPart = content.find((part) => part.type === "output_text");
+  return textPart?.text || "";
+}
+
+async function completeWithAnthropic({ model, instructions, input, schema, onText }) {
+  if (!ANTHROPIC_API_KEY) {
+    throw new Error("Missing ANTHROPIC_API_KEY in environment.");
+  }
+
+  const response = await fetch("https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": ANTHROPIC_API_KEY,
+      "anthropic-version": "2023-06-01"
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: 4096,
+      system: instructions,
+      messages: [{ role: "user", content: input }],
+      tools: [
+        {
+          name: schema.name,
+          description: "Return the result as structured JSON.",
+          input_schema: schema.schema
+        }
+      ],
+      tool_choice: { type: "tool", name: schema.name },
+      stream: Boolean(onText)
+    })
+  });
+
+  if (!response.ok) {
+    const errText = await response.text();
+    throw new Error(`Anthropic error: ${response.status} ${errText}`);
+  }
+
+  if (onText) {
+    return collectStreamedText(
+      response,
+      (event) => (event.delta?.type === "input_json_delta" ? event.delta.partial_json : ""),
+      onText
+    );
+  }
+
+  const data = await response.json();
+  const content = Array.isArray(data.content) ? data.content : [];
+  const toolUse = content.find((part) => part.type === "tool_use");
+  return toolUse?.input ? JSON.stringify(toolUse.input) : "";
+}
+
+async function completeWithChatCompletions({ label, url, headers, model, instructions, input, schema, onText }) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...headers
+    },
+    body: JSON.stringify({
+      model,
+      messages: [
+        { role: "system", content: instructions },
+        { role: "user", content: input }
+      ],
+      response_format: {
+        type: "json_schema",
+        json_schema: schema
+      },
+      stream: Boolean(onText)
+    })
+  });
+
+  if (!response.ok) {
+    const errText = await response.text();
+    throw new Error(`${label} error: ${response.status} ${errText}`);
+  }
+
+  if (onText) {
+    return collectStreamedText(response, (event) => event.choices?.[0]?.delta?.content || "", onText);
+  }
+
+  const data = await response.json();
+  return data?.choices?.[0]?.message?.content || "";
+}
+
+async function completeWithAzure(options) {
+  if (!AZURE_OPENAI_ENDPOINT || !AZURE_OPENAI_API_KEY) {
+    throw new Error("Missing AZURE_OPENAI_ENDPOINT or AZURE_OPENAI_API_KEY in environment.");
+  }
+  if (!options.model) {
+    throw new Error("Missing AZURE_OPENAI_DEPLOYMENT (or LLM_MODEL) in environment.");
+  }
+
+  const endpoint = AZURE_OPENAI_ENDPOINT.replace(/\/+$/, "");
+  return completeWithChatCompletions({
+    ...options,
+    label: "Azure OpenAI",
+    url: `${endpoint}/openai/deployments/${encodeURIComponent(options.model)}/chat/completions?api-version=${AZURE_OPENAI_API_VERSION}`,
+    headers: { "api-key": AZURE_OPENAI_API_KEY }
+  });
+}
+
+async function completeWithLocal(options) {
+  const baseUrl = LOCAL_LLM_BASE_URL.replace(/\/+$/, "");
+  return completeWithChatCompletions({
+    ...options,
+    label: "Local model",
+    url: `${baseUrl}/chat/completions`,
+    headers: LOCAL_LLM_API_KEY ? { "Authorization": `Bearer ${LOCAL_LLM_API_KEY}` } : {}
+  });
+}
+
+const LLM_PROVIDERS = {
+  openai: { label: "OpenAI", defaultModel: "gpt-4.1-mini", complete: completeWithOpenAI },
+  anthropic: { label: "Anthropic", defaultModel: "claude-3-5-haiku-latest", complete: completeWithAnthropic },
+  azure: { label: "Azure OpenAI", defaultModel: AZURE_OPENAI_DEPLOYMENT, complete: completeWithAzure },
+  local: { label: "Local model", defaultModel: "llama3.1", complete: completeWithLocal },
+  fixture: { label: "Fixture", defaultModel: "fixture", complete: completeWithFixture }
+};
+
+function getLlmProvider() {
+  const provider = LLM_PROVIDERS[LLM_PROVIDER];
+  if (!provider) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${LLM_PROVIDER}". Use one of: ${Object.keys(LLM_PROVIDERS).join(", ")}.`
+    );
+  }
+  return { ...provider, name: LLM_PROVIDER, model: LLM_MODEL || provider.defaultModel };
+}
+
+function stripJsonFences(raw) {
+  // Local models sometimes wrap JSON in a markdown code block despite the schema.
+  const match = raw.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return match ? match[1] : raw;
+}
+
+function createStreamedArrayParser(key, onItem) {
+  const opening = new RegExp(`"${key}"\\s*:\\s*\\[`);
+  let buffer = "";
+  let position = -1;
+  let depth = 0;
+  let itemStart = -1;
+  let inString = false;
+  let escaped = false;
+  let closed = false;
+
+  return (delta) => {
+    buffer += delta;
+    if (position < 0) {
+      const match = buffer.match(opening);
+      if (!match) return;
+      position = match.index + match[0].length;
+    }
+
+    for (; position < buffer.length && !closed; position += 1) {
+      const char = buffer[position];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === "\\") escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === "{" || char === "[") {
+        if (depth === 0) itemStart = position;
+        depth += 1;
+      } else if (char === "}" || char === "]") {
+        if (depth === 0) {
+          closed = true;
+        } else {
+          depth -= 1;
+          const item = depth === 0 ? safeJsonParse(buffer.slice(itemStart, position + 1)) : null;
+          if (item) onItem(item);
+        }
+      }
+    }
+  };
+}
+
+async function requestStructuredOutput({ instructions, input, schema, context, onText }) {
+  const provider = getLlmProvider();
+  const raw = await provider.complete({ model: provider.model, instructions, input, schema, context, onText });
+
+  if (!raw) {
+    throw new Error(`${provider.label} response missing output text.`);
+  }
+
+  try {
+    return JSON.parse(stripJsonFences(raw));
+  } catch {
+    throw new Error(`${provider.label} returned non-JSON output.`);
+  }
+}
+
+async function summarizeJobPosting(posting, profileId) {
+  const chunks = chunkSections(posting.sections, JOB_SUMMARY_CHUNK_CHARS);
+  const summaries = await Promise.all(
+    chunks.map((sections, index) =>
+      requestStructuredOutput({
+        instructions: rolePrompt(JOB_SUMMARY_PROMPT, profileId),
+        input: `Part ${index + 1} of ${chunks.length} of the posting${posting.title ? ` for ${posting.title}` : ""}:\n${jobPostingToText({ sections })}`,
+        schema: {
+          name: "job_posting_summary",
+          schema: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              sections: {
+                type: "array",
+                items: {
+                  type: "object",
+                  additionalProperties: false,
+                  properties: {
+                    heading: { type: "string" },
+                    bullets: { type: "array", items: { type: "string" } }
+                  },
+                  required: ["heading", "bullets"]
+                }
+              }
+            },
+            required: ["sections"]
+          },
+          strict: true
+        },
+        context: { sections }
+      })
+    )
+  );
+
+  return {
+    ...posting,
+    sections: summaries.flatMap((summary) =>
+      (summary.sections || []).map((section) => ({
+        heading: section.heading || "",
+        paragraphs: [],
+        bullets: (section.bullets || []).filter(Boolean)
+      }))
+    )
+  };
+}
+
+async function prepareJobPostingForModel(posting, profileId) {
+  if (jobPostingToText(posting).length <= JOB_POSTING_MAX_CHARS) {
+    return { text: jobPostingToText(posting), strategy: "full" };
+  }
+
+  const fitted = fitJobPosting(posting, JOB_POSTING_MAX_CHARS);
+  if (fitted) {
+    return { text: jobPostingToText(fitted), strategy: "prioritized" };
+  }
+
+  const summarized = await summarizeJobPosting(posting, profileId);
+  const text = jobPostingToText(fitJobPosting(summarized, JOB_POSTING_MAX_CHARS) || summarized);
+  return { text: text.slice(0, JOB_POSTING_MAX_CHARS), strategy: "summarized" };
+}
+
+function describeCompanyProfile(company) {
+  return [
+    `Company context for ${company.name}, from our own notes rather than the posting:`,
+    company.values.length ? `Stated values: ${company.values.join("; ")}` : "",
+    company.principles.length ? `Leadership principles: ${company.principles.join("; ")}` : "",
+    company.loop.length ? `Known interview loop: ${company.loop.join(" -> ")}` : "",
+    company.notes ? `Notes: ${company.notes}` : "",
+    "Where a stated value or principle fits the role, reflect it in the themes and questions, and name it in the theme label. Do not force values that do not fit."
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+async function generateAnalysis(
+  jobText,
+  jobUrl,
+  promptText = jobText,
+  { onTheme, profile = DEFAULT_ROLE_PROFILE, language = DEFAULT_LANGUAGE, company = null } = {}
+) {
+  const postingLanguage = detectLanguage(jobText);
+  const heuristicLevel = inferSeniorityFromText(jobText, jobUrl, postingLanguage);
+  const extracted = extractSignals(jobText, profile, postingLanguage);
+  const heuristicFocus = inferFocusFromText(jobText, profile);
+  const userPrompt = `Job posting, section by section (${getLanguage(postingLanguage).name}):\n${promptText}\n\n${rolePrompt(SCHEMA_HINT, profile)}`;
+  const responseSchema = {
+    name: "design_role_questions",
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        role_level: {
+          type: "string",
+          enum: ["junior", "mid", "senior", "lead", "staff", "director", "unknown"]
+        },
+        role_type: {
+          type: "string",
+          enum: ["ic", "manager", "mixed", "unknown"]
+        },
+        domain: {
+          type: "string",
+          enum: ["b2b", "consumer", "enterprise", "saas", "unknown"]
+        },
+        focus: { type: "string" },
+        signals: {
+          type: "array",
+          minItems: 0,
+          maxItems: 10,
+          items: { type: "string" }
+        },
+        themes: {
+          type: "array",
+          minItems: 3,
+          maxItems: 8,
+          items: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              theme: { type: "string" },
+              questions: {
+                type: "array",
+                minItems: 1,
+                maxItems: 3,
+                items: { type: "string" }
+              }
+            },
+            required: ["theme", "questions"]
+          }
+        }
+      },
+      required: ["role_level", "role_type", "domain", "focus", "signals", "themes"]
+    },
+    strict: true
+  };
+
+  const parsed = await requestStructuredOutput({
+    instructions: `${rolePrompt(ANALYSIS_PROMPT, profile, language)}\nHeuristic seniority hint from text (may be unknown): ${heuristicLevel}. If the posting explicitly names a level, prioritize that.\nHeuristic focus hint: ${heuristicFocus}.\nDetected signals: ${extracted.signals.join(", ") || "none"}.\nDetected domain: ${extracted.domain}. Detected role type: ${extracted.role_type}. Use these signals explicitly in the themes and questions.${
+      company ? `\n${describeCompanyProfile(company)}` : ""
+    }`,
+    input: userPrompt,
+    schema: responseSchema,
+    context: { jobText, jobUrl, profile, language, company },
+    onText: onTheme ? createStreamedArrayParser("themes", onTheme) : undefined
+  });
+
+  if (!parsed.themes || !Array.isArray(parsed.themes)) {
+    throw new Error("Model JSON missing themes array.");
+  }
+
+  let final = parsed;
+
+  if (final.role_level === "unknown" && heuristicLevel !== "unknown") {
+    final = { ...final, role_level: heuristicLevel };
+  }
+
+  if (final.role_type === "unknown" && extracted.role_type !== "unknown") {
+    final = { ...final, role_type: extracted.role_type };
+  }
+
+  if (final.domain === "unknown" && extracted.domain !== "unknown") {
+    final = { ...final, domain: extracted.domain };
+  }
+
+  if (!final.focus || final.focus.trim() === "" || final.focus.trim().toLowerCase() === "unknown") {
+    final = { ...final, focus: heuristicFocus };
+  }
+
+  const parsedSignals = Array.isArray(final.signals) ? final.signals : [];
+  const mergedSignals = [...parsedSignals, ...extracted.signals].filter(
+    (value, index, array) => value && array.indexOf(value) === index
+  );
+  final = { ...final, signals: mergedSignals.slice(0, 10), profile, language };
+
+  return final;
+}
+
+function normalizeQuestion(question) {
+  return String(question || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function isDuplicateQuestion(question, existing) {
+  const normalized = normalizeQuestion(question);
+  const words = new Set(normalized.split(" "));
+
+  return existing.some((other) => {
+    const otherNormalized = normalizeQuestion(other);
+    if (otherNormalized === normalized) return true;
+    const otherWords = new Set(otherNormalized.split(" "));
+    const shared = Array.from(words).filter((word) => otherWords.has(word)).length;
+    const union = new Set([...words, ...otherWords]).size;
+    return union > 0 && shared / union >= 0.9;
+  });
+}
+
+async function generateMoreQuestions(analysis, shownQuestions) {
+  const themeNames = analysis.themes.map((block) => block.theme).filter(Boolean);
+  const userPrompt = [
+    `Role level: ${analysis.role_level || "unknown"}`,
+    `Role type: ${analysis.role_type || "unknown"}`,
+    `Domain: ${analysis.domain || "unknown"}`,
+    `Focus: ${analysis.focus || "unknown"}`,
+    `Signals: ${(analysis.signals || []).join(", ") || "none"}`,
+    `Existing themes:\n${themeNames.map((theme) => `- ${theme}`).join("\n")}`,
+    `Questions already shown:\n${shownQuestions.map((question) => `- ${question}`).join("\n")}`,
+    "Return a JSON object with key themes: array of objects with keys theme (reuse an existing theme label exactly when it fits) and questions (array of 1-2 new strings)."
+  ].join("\n\n");
+
+  const responseSchema = {
+    name: "more_design_role_questions",
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        themes: {
+          type: "array",
+          minItems: 1,
+          maxItems: 8,
+          items: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              theme: { type: "string" },
+              questions: {
+                type: "array",
+                minItems: 1,
+                maxItems: 2,
+                items: { type: "string" }
+              }
+            },
+            required: ["theme", "questions"]
+          }
+        }
+      },
+      required: ["themes"]
+    },
+    strict: true
+  };
+
+  const parsed = await requestStructuredOutput({
+    instructions: rolePrompt(MORE_QUESTIONS_PROMPT, analysis.profile, analysis.language),
+    input: userPrompt,
+    schema: responseSchema,
+    context: { analysis, shown: shownQuestions }
+  });
+
+  if (!parsed.themes || !Array.isArray(parsed.themes)) {
+    throw new Error("Model JSON missing themes array.");
+  }
+
+  const seen = shownQuestions.slice();
+  return parsed.themes
+    .map((block) => {
+      const questions = (Array.isArray(block.questions) ? block.questions : []).filter((question) => {
+        if (!question || isDuplicateQuestion(question, seen)) return false;
+        seen.push(question);
+        return true;
+      });
+      return { theme: block.theme || "More questions", questions };
+    })
+    .filter((block) => block.questions.length);
+}
+
+async function handleApiMoreQuestions(req, res) {
+  try {
+    const payload = await readJsonBody(req);
+    const analysis = payload?.analysis;
+    if (!analysis || !Array.isArray(analysis.themes) || !analysis.themes.length) {
+      return sendJson(res, 400, { error: "Please generate questions first." });
+    }
+
+    const shown = Array.isArray(payload?.shown)
+      ? payload.shown.filter((question) => typeof question === "string")
+      : analysis.themes.flatMap((block) => block.questions || []);
+    const themes = await generateMoreQuestions(analysis, shown);
+
+    return sendJson(res, 200, { themes });
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error" });
+  }
+}
+
+const SCORED_COMMENT_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    score: { type: "integer", minimum: 0, maximum: 5 },
+    comment: { type: "string" }
+  },
+  required: ["score", "comment"]
+};
+
+async function generateFeedback({ question, answer, analysis }) {
+  const signals = Array.isArray(analysis?.signals) ? analysis.signals : [];
+  const roleLevel = analysis?.role_level || "unknown";
+  const userPrompt = [
+    `Question: ${question}`,
+    `Role level: ${roleLevel}`,
+    `Role type: ${analysis?.role_type || "unknown"}`,
+    `Focus: ${analysis?.focus || "unknown"}`,
+    `Signals: ${signals.join(", ") || "none"}`,
+    `Candidate answer:\n${answer}`,
+    "Return a JSON object with keys: star (situation, task, action, result, each with score and comment), signal_alignment (score, matched_signals, missing_signals, comment), level_fit (score, comment), overall_score (0-5), strengths (1-3 strings), improvements (2-5 concrete suggestions)."
+  ].join("\n\n");
+
+  const responseSchema = {
+    name: "answer_feedback",
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        star: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            situation: SCORED_COMMENT_SCHEMA,
+            task: SCORED_COMMENT_SCHEMA,
+            action: SCORED_COMMENT_SCHEMA,
+            result: SCORED_COMMENT_SCHEMA
+          },
+          required: ["situation", "task", "action", "result"]
+        },
+        signal_alignment: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            score: { type: "integer", minimum: 0, maximum: 5 },
+            matched_signals: { type: "array", items: { type: "string" } },
+            missing_signals: { type: "array", items: { type: "string" } },
+            comment: { type: "string" }
+          },
+          required: ["score", "matched_signals", "missing_signals", "comment"]
+        },
+        level_fit: SCORED_COMMENT_SCHEMA,
+        overall_score: { type: "integer", minimum: 0, maximum: 5 },
+        strengths: { type: "array", maxItems: 3, items: { type: "string" } },
+        improvements: { type: "array", minItems: 1, maxItems: 5, items: { type: "string" } }
+      },
+      required: ["star", "signal_alignment", "level_fit", "overall_score", "strengths", "improvements"]
+    },
+    strict: true
+  };
+
+  const parsed = await requestStructuredOutput({
+    instructions: rolePrompt(FEEDBACK_PROMPT, analysis?.profile, analysis?.language),
+    input: userPrompt,
+    schema: responseSchema,
+    context: { question, answer, signals, roleLevel }
+  });
+
+  if (!parsed.star || !Array.isArray(parsed.improvements)) {
+    throw new Error("Model JSON missing STAR feedback.");
+  }
+
+  return parsed;
+}
+
+async function handleApiFeedback(req, res) {
+  try {
+    const payload = await readJsonBody(req);
+    const question = typeof payload?.question === "string" ? payload.question.trim() : "";
+    const answer = typeof payload?.answer === "string" ? payload.answer.trim() : "";
+
+    if (!question) {
+      return sendJson(res, 400, { error: "Missing question." });
+    }
+    if (answer.length < 40) {
+      return sendJson(res, 400, { error: "Please write at least a few sentences before asking for feedback." });
+    }
+
+    const feedback = await generateFeedback({
+      question,
+      answer: answer.slice(0, 6000),
+      analysis: payload?.analysis
+    });
+
+    return sendJson(res, 200, { feedback });
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error" });
+  }
+}
+
+const INTERVIEW_THEME_COUNT = 3;
+const INTERVIEW_MAX_FOLLOW_UPS = 2;
+const INTERVIEW_LEVEL_BARS = {
+  junior: "solid craft fundamentals, clear reasoning and learning from feedback",
+  mid: "owning features end to end and working closely with product and engineering",
+  senior: "owning ambiguous problems, making tradeoffs and showing measurable impact",
+  lead: "setting direction for a team's work and raising the quality bar",
+  staff: "influence across teams, systems-level decisions and long-term strategy",
+  director: "organization strategy, hiring and growing teams, and business outcomes",
+  unknown: "ownership, clear decisions and impact"
+};
+const INTERVIEW_TYPE_FOCUS = {
+  ic: "Probe the candidate's own craft and decisions, not the team's.",
+  manager: "Probe how the candidate hired, coached and unblocked people, and how they set direction.",
+  mixed: "Probe both hands-on craft and how the candidate leads and grows others on the team.",
+  unknown: "Probe what the candidate personally did and decided."
+};
+
+function startEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function describeInterviewRole(analysis) {
+  const level = INTERVIEW_LEVEL_BARS[analysis.role_level] ? analysis.role_level : "unknown";
+  const type = INTERVIEW_TYPE_FOCUS[analysis.role_type] ? analysis.role_type : "unknown";
+  return [
+    `Role level: ${level}. The bar: ${INTERVIEW_LEVEL_BARS[level]}.`,
+    `Role type: ${type}. ${INTERVIEW_TYPE_FOCUS[type]}`,
+    `Focus: ${analysis.focus || "unknown"}`,
+    `Signals: ${(analysis.signals || []).join(", ") || "none"}`
+  ].join("\n");
+}
+
+function formatInterviewTurns(turns) {
+  return turns.map((turn) => `${turn.role === "candidate" ? "Candidate" : "Interviewer"}: ${turn.text}`).join("\n\n");
+}
+
+async function generateInterviewTurn(analysis, themeTurns, followUps) {
+  const question = themeTurns[0];
+  const userPrompt = [
+    describeInterviewRole(analysis),
+    `Theme: ${question.theme}`,
+    `Conversation on this question:\n${formatInterviewTurns(themeTurns)}`,
+    `Follow-ups asked so far: ${followUps} of at most ${INTERVIEW_MAX_FOLLOW_UPS}.${
+      followUps ? "" : " Ask at least one follow-up before moving on."
+    }`,
+    'Return a JSON object with keys: decision ("follow_up" or "next_question"), follow_up (the question to ask, or "" when moving on), note (one sentence on the latest answer).'
+  ].join("\n\n");
+
+  const responseSchema = {
+    name: "interview_turn",
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        decision: { type: "string", enum: ["follow_up", "next_question"] },
+        follow_up: { type: "string" },
+        note: { type: "string" }
+      },
+      required: ["decision", "follow_up", "note"]
+    },
+    strict: true
+  };
+
+  const candidateTurns = themeTurns.filter((turn) => turn.role === "candidate");
+  return requestStructuredOutput({
+    instructions: rolePrompt(INTERVIEWER_PROMPT, analysis.profile, analysis.language),
+    input: userPrompt,
+    schema: responseSchema,
+    context: {
+      answer: candidateTurns[candidateTurns.length - 1]?.text,
+      followUps,
+      asked: themeTurns.filter((turn) => turn.kind === "follow_up").map((turn) => turn.text)
+    }
+  });
+}
+
+async function generateInterviewDebrief(interview) {
+  const themes = interview.plan
+    .filter((item) => interview.turns.some((turn) => turn.kind === "question" && turn.theme === item.theme))
+    .map((item) => ({
+      theme: item.theme,
+      turns: interview.turns.filter((turn) => turn.theme === item.theme)
+    }));
+  const userPrompt = [
+    describeInterviewRole(interview.analysis),
+    ...themes.map((item) => `## ${item.theme}\n${formatInterviewTurns(item.turns)}`),
+    "Return a JSON object with keys: overall (2-3 sentences), level_fit (one or two sentences), themes (one per theme above with theme, score 0-5, summary, went_well and improve, 1-3 strings each)."
+  ].join("\n\n");
+
+  const responseSchema = {
+    name: "interview_debrief",
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        overall: { type: "string" },
+        level_fit: { type: "string" },
+        themes: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              theme: { type: "string" },
+              score: { type: "integer", minimum: 0, maximum: 5 },
+              summary: { type: "string" },
+              went_well: { type: "array", maxItems: 3, items: { type: "string" } },
+              improve: { type: "array", maxItems: 3, items: { type: "string" } }
+            },
+            required: ["theme", "score", "summary", "went_well", "improve"]
+          }
+        }
+      },
+      required: ["overall", "level_fit", "themes"]
+    },
+    strict: true
+  };
+
+  const parsed = await requestStructuredOutput({
+    instructions: rolePrompt(INTERVIEW_DEBRIEF_PROMPT, interview.analysis.profile, interview.analysis.language),
+    input: userPrompt,
+    schema: responseSchema,
+    context: {
+      roleLevel: interview.analysis.role_level || "unknown",
+      themes: themes.map((item) => ({
+        theme: item.theme,
+        answers: item.turns.filter((turn) => turn.role === "candidate").map((turn) => turn.text)
+      }))
+    }
+  });
+
+  if (!Array.isArray(parsed.themes)) {
+    throw new Error("Model JSON missing debrief themes.");
+  }
+
+  return parsed;
+}
+
+async function nextInterviewStep(interview) {
+  const lastQuestion = interview.turns.map((turn) => turn.kind).lastIndexOf("question");
+  const themeTurns = interview.turns.slice(lastQuestion);
+  const followUps = themeTurns.filter((turn) => turn.kind === "follow_up").length;
+
+  if (followUps < INTERVIEW_MAX_FOLLOW_UPS) {
+    const decision = await generateInterviewTurn(interview.analysis, themeTurns, followUps);
+    const text = String(decision.follow_up || "").trim();
+    if (text && (decision.decision === "follow_up" || !followUps)) {
+      return { turn: { role: "interviewer", kind: "follow_up", theme: themeTurns[0].theme, text } };
+    }
+  }
+
+  const asked = interview.turns.filter((turn) => turn.kind === "question").length;
+  const next = interview.plan[asked];
+  if (next) {
+    return { turn: { role: "interviewer", kind: "question", theme: next.theme, text: next.question } };
+  }
+  return { debrief: await generateInterviewDebrief(interview) };
+}
+
+function publicInterview(interview) {
+  return {
+    id: interview.id,
+    status: interview.status,
+    plan: interview.plan.map((item) => item.theme),
+    turns: interview.turns,
+    debrief: interview.debrief || null
+  };
+}
+
+async function handleApiInterviewStart(req, res) {
+  try {
+    const payload = await readJsonBody(req);
+    const user = getSessionUser(req);
+    const job = user && payload?.jobId ? getSavedJob(String(payload.jobId), user.id) : null;
+    const analysis = job?.analysis || payload?.analysis;
+    const plan = (Array.isArray(analysis?.themes) ? analysis.themes : [])
+      .filter((block) => typeof block?.questions?.[0] === "string")
+      .slice(0, INTERVIEW_THEME_COUNT)
+      .map((block) => ({ theme: block.theme || "Theme", question: block.questions[0] }));
+    if (!plan.length) {
+      return sendJson(res, 400, { error: "Generate questions before starting a mock interview." });
+    }
+
+    const interview = {
+      id: randomUUID(),
+      userId: user?.id || null,
+      jobId: job?.id || null,
+      analysis: {
+        role_level: analysis.role_level || "unknown",
+        role_type: analysis.role_type || "unknown",
+        focus: analysis.focus || "",
+        signals: Array.isArray(analysis.signals) ? analysis.signals : [],
+        profile: isRoleProfile(analysis.profile) ? analysis.profile : DEFAULT_ROLE_PROFILE,
+        language: isLanguage(analysis.language) ? analysis.language : DEFAULT_LANGUAGE
+      },
+      plan,
+      turns: [{ role: "interviewer", kind: "question", theme: plan[0].theme, text: plan[0].question }],
+      status: "active"
+    };
+    insertInterview(interview);
+
+    startEventStream(res);
+    sendEvent(res, "session", publicInterview(interview));
+    sendEvent(res, "turn", interview.turns[0]);
+    sendEvent(res, "done", { status: interview.status });
+    return res.end();
+  } catch (err) {
+    return sendJson(res, 500, { error: err.message || "Server error" });
+  }
+}
+
+async function handleApiInterview(req, res, interviewId, action) {
+  try {
+    const interview = getInterview(interviewId);
+    if (!interview || (interview.userId && getSessionUser(req)?.id !== interview.userId)) {
+      return sendJson(res, 404, { error: "Mock interview not found." });
+    }
+
+    if (req.method === "GET" && !action) {
+      return sendJson(res, 200, { interview: publicInterview(interview) });
+    }
+
+    if (req.method !== "POST" || !action) {
+      return sendJson(res, 405, { error: "Method not allowed." });
+    }
+
+    if (interview.status !== "active") {
+      return sendJson(res, 409, { error: "This interview has ended." });
+    }
+
+    if (action === "turns") {
+      const payload = await readJsonBody(req);
+      const answer = typeof payload?.answer === "string" ? payload.answer.trim() : "";
+      if (!answer) {
+        return sendJson(res, 400, { error: "Write or record an answer first." });
+      }
+      const current = interview.turns[interview.turns.length - 1];
+      interview.turns.push({ role: "candidate", kind: "answer", theme: current.theme, text: answer.slice(0, 6000) });
+    }
+
+    startEventStream(res);
+    sendEvent(res, "status", { state: "thinking" });
+    try {
+      const step =
+        action === "turns"
+          ? await nextInterviewStep(interview)
+          : { debrief: await generateInterviewDebrief(interview) };
+      if (step.turn) {
+        interview.turns.push(step.turn);
+        sendEvent(res, "turn", step.turn);
+      } else {
+        interview.debrief = step.debrief;
+        interview.status = "complete";
+        sendEvent(res, "debrief", step.debrief);
+      }
+      updateInterview(interview);
+      sendEvent(res, "done", { status: interview.status });
+    } catch (err) {
+      sendEvent(res, "error", { error: err.message || "Server error" });
+    }
+    return res.end();
+  } catch (err) {
+    return sendJson(res, 500, { error: err.message || "Server error" });
   }
+}
+
+function resumeLines(posting) {
+  return (posting?.sections || []).flatMap((section) => [...section.paragraphs, ...section.bullets]);
+}
+
+async function generateResumeReview({ resume, analysis }) {
+  const signals = Array.isArray(analysis?.signals) ? analysis.signals : [];
+  const roleLevel = analysis?.role_level || "unknown";
+  const userPrompt = [
+    `Role level: ${roleLevel}`,
+    `Role type: ${analysis?.role_type || "unknown"}`,
+    `Focus: ${analysis?.focus || "unknown"}`,
+    `Signals: ${signals.join(", ") || "none"}`,
+    `Candidate resume:\n${resume.text.slice(0, JOB_POSTING_MAX_CHARS)}`,
+    "Return a JSON object with keys: summary (one or two sentences), strengths (area and the resume evidence), gaps (area, severity high/medium/low, detail, suggestion), questions (4-8 items with project, question and reason)."
+  ].join("\n\n");
 
-  const heuristicLevel = inferSeniorityFromText(jobText, jobUrl);
-  const extracted = extractSignals(jobText);
-  const heuristicFocus = inferFocusFromText(jobText);
-  const userPrompt = `Job posting text (English):\n${jobText}\n\n${SCHEMA_HINT}`;
   const responseSchema = {
-    name: "design_role_questions",
+    name: "resume_review",
     schema: {
       type: "object",
       additionalProperties: false,
       properties: {
-        role_level: {
-          type: "string",
-          enum: ["junior", "mid", "senior", "lead", "staff", "director", "unknown"]
-        },
-        role_type: {
-          type: "string",
-          enum: ["ic", "manager", "mixed", "unknown"]
-        },
-        domain: {
-          type: "string",
-          enum: ["b2b", "consumer", "enterprise", "saas", "unknown"]
+        summary: { type: "string" },
+        strengths: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              area: { type: "string" },
+              evidence: { type: "string" }
+            },
+            required: ["area", "evidence"]
+          }
         },
-        focus: { type: "string" },
-        signals: {
+        gaps: {
           type: "array",
-          minItems: 0,
-          maxItems: 10,
-          items: { type: "string" }
+          items: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              area: { type: "string" },
+              severity: { type: "string", enum: ["high", "medium", "low"] },
+              detail: { type: "string" },
+              suggestion: { type: "string" }
+            },
+            required: ["area", "severity", "detail", "suggestion"]
+          }
         },
-        themes: {
+        questions: {
           type: "array",
-          minItems: 3,
           maxItems: 8,
           items: {
             type: "object",
             additionalProperties: false,
             properties: {
-              theme: { type: "string" },
-              questions: {
-                type: "array",
-                minItems: 1,
-                maxItems: 3,
-                items: { type: "string" }
-              }
+              project: { type: "string" },
+              question: { type: "string" },
+              reason: { type: "string" }
             },
-            required: ["theme", "questions"]
+            required: ["project", "question", "reason"]
           }
         }
       },
-      required: ["role_level", "role_type", "domain", "focus", "signals", "themes"]
+      required: ["summary", "strengths", "gaps", "questions"]
     },
     strict: true
   };
 
-  const response = await fetch("https://api.openai.com/v1/responses", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${OPENAI_API_KEY}`
-    },
-    body: JSON.stringify({
-      model: "gpt-4.1-mini",
-      instructions: `${SYSTEM_PROMPT}\nHeuristic seniority hint from text (may be unknown): ${heuristicLevel}. If the posting explicitly names a level, prioritize that.\nHeuristic focus hint: ${heuristicFocus}.\nDetected signals: ${extracted.signals.join(", ") || "none"}.\nDetected domain: ${extracted.domain}. Detected role type: ${extracted.role_type}. Use these signals explicitly in the themes and questions.`,
-      input: userPrompt,
-      text: {
-        format: {
-          type: "json_schema",
-          ...responseSchema
+  const parsed = await requestStructuredOutput({
+    instructions: rolePrompt(RESUME_REVIEW_PROMPT, analysis?.profile, analysis?.language),
+    input: userPrompt,
+    schema: responseSchema,
+    context: {
+      resumeText: resume.text,
+      resumeLines: resumeLines(resume.posting),
+      signals,
+      roleLevel,
+      profile: analysis?.profile
+    }
+  });
+
+  if (!Array.isArray(parsed.gaps) || !Array.isArray(parsed.questions)) {
+    throw new Error("Model JSON missing resume gaps or questions.");
+  }
+
+  return parsed;
+}
+
+function summarizeResume(resume) {
+  return {
+    fileName: resume.fileName,
+    method: resume.method,
+    length: resume.text.length,
+    sections: (resume.posting?.sections || []).map((section) => section.heading).filter(Boolean),
+    uploadedAt: resume.uploadedAt
+  };
+}
+
+async function handleApiResume(req, res) {
+  try {
+    const user = requireUser(req, res);
+    if (!user) return;
+
+    if (req.method === "GET") {
+      const resume = getResume(user.id);
+      return sendJson(res, 200, { resume: resume ? summarizeResume(resume) : null });
+    }
+
+    if (req.method === "DELETE") {
+      deleteResume(user.id);
+      return sendJson(res, 200, { ok: true });
+    }
+
+    if (req.method !== "POST") {
+      return sendJson(res, 405, { error: "Method not allowed." });
+    }
+
+    const payload = await readUploadRequest(req);
+    let resume;
+    if (payload.file) {
+      const uploaded = await extractUploadedFile(payload.file);
+      resume = { fileName: payload.file.name, method: uploaded.method, text: uploaded.text, posting: uploaded.posting };
+    } else {
+      // Checked again after boilerplate is stripped, which can leave little or nothing.
+      const pasted =
+        typeof payload?.text === "string" && payload.text.trim().length >= MIN_PASTED_TEXT_CHARS
+          ? buildJobPosting({}, sectionsFromText(payload.text))
+          : null;
+      if (!pasted || pasted.text.length < MIN_PASTED_TEXT_CHARS) {
+        return sendJson(res, 400, { error: "Please upload your resume or paste at least a few lines of it." });
+      }
+      resume = { fileName: null, method: "pasted", text: pasted.text, posting: pasted.posting };
+    }
+
+    resume.text = resume.text.slice(0, JOB_POSTING_STORE_CHARS);
+    saveResume(user.id, resume);
+    return sendJson(res, 200, { resume: summarizeResume(getResume(user.id)) });
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error", code: err.code });
+  }
+}
+
+async function handleApiResumeReview(req, res) {
+  try {
+    const user = requireUser(req, res);
+    if (!user) return;
+
+    const resume = getResume(user.id);
+    if (!resume) {
+      return sendJson(res, 400, { error: "Upload your resume first." });
+    }
+
+    const payload = await readJsonBody(req);
+    const job = payload?.jobId ? getSavedJob(String(payload.jobId), user.id) : null;
+    if (payload?.jobId && !job) {
+      return sendJson(res, 404, { error: "Saved job not found." });
+    }
+    const analysis = job?.analysis || payload?.analysis;
+    if (!Array.isArray(analysis?.signals)) {
+      return sendJson(res, 400, { error: "Missing analysis." });
+    }
+
+    const review = await generateResumeReview({ resume, analysis });
+    if (job) {
+      updateSavedJobResumeReview(job.id, review);
+    }
+    return sendJson(res, 200, { review });
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error" });
+  }
+}
+
+const FIXTURE_TRANSCRIPT =
+  "Um, so at my last company our team owned the onboarding flow and, you know, activation was dropping. " +
+  "My goal was to find out why. I led five interviews, I prototyped two new flows and we tested them with real users. " +
+  "Basically the shorter flow won and we reduced drop-off by twelve percent after launch.";
+
+async function transcribeWithFixture() {
+  return { text: FIXTURE_TRANSCRIPT, duration: null };
+}
+
+function audioFileName(contentType) {
+  if (contentType.includes("ogg")) return "answer.ogg";
+  if (contentType.includes("mp4") || contentType.includes("m4a")) return "answer.m4a";
+  if (contentType.includes("wav")) return "answer.wav";
+  if (contentType.includes("mpeg")) return "answer.mp3";
+  return "answer.webm";
+}
+
+async function transcribeWithOpenAI({ audio, contentType }) {
+  if (!OPENAI_API_KEY) {
+    throw new Error("Missing OPENAI_API_KEY in environment.");
+  }
+
+  const form = new FormData();
+  form.append("file", new Blob([audio], { type: contentType }), audioFileName(contentType));
+  form.append("model", STT_MODEL);
+  form.append("response_format", "verbose_json");
+
+  const response = await fetch("https://api.openai.com/v1/audio/transcriptions", {
+    method: "POST",
+    headers: { "Authorization": `Bearer ${OPENAI_API_KEY}` },
+    body: form
+  });
+
+  if (!response.ok) {
+    const errText = await response.text();
+    throw new Error(`OpenAI transcription error: ${response.status} ${errText}`);
+  }
+
+  const data = await response.json();
+  return { text: data?.text || "", duration: typeof data?.duration === "number" ? data.duration : null };
+}
+
+async function transcribeWithWhisperCpp({ audio, contentType }) {
+  const form = new FormData();
+  form.append("file", new Blob([audio], { type: contentType }), audioFileName(contentType));
+  form.append("response_format", "json");
+  form.append("temperature", "0");
+
+  const response = await fetch(WHISPER_CPP_URL, { method: "POST", body: form });
+
+  if (!response.ok) {
+    const errText = await response.text();
+    throw new Error(`whisper.cpp error: ${response.status} ${errText}`);
+  }
+
+  const data = await response.json();
+  return { text: data?.text || "", duration: null };
+}
+
+const STT_PROVIDERS = {
+  openai: transcribeWithOpenAI,
+  "whisper-cpp": transcribeWithWhisperCpp,
+  fixture: transcribeWithFixture
+};
+
+const FILLER_PATTERNS = {
+  um: /\bu+m+\b/g,
+  uh: /\bu+h+\b/g,
+  erm: /\b(erm|er)\b/g,
+  "you know": /\byou know\b/g,
+  "i mean": /\bi mean\b/g,
+  basically: /\bbasically\b/g,
+  actually: /\bactually\b/g,
+  literally: /\bliterally\b/g,
+  "sort of": /\bsort of\b/g,
+  "kind of": /\bkind of\b/g
+};
+
+function getSpeechStats(transcript, durationSeconds) {
+  const text = (transcript || "").toLowerCase();
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const fillers = Object.fromEntries(
+    Object.entries(FILLER_PATTERNS)
+      .map(([filler, pattern]) => [filler, (text.match(pattern) || []).length])
+      .filter(([, count]) => count > 0)
+  );
+  const fillerCount = Object.values(fillers).reduce((sum, count) => sum + count, 0);
+  const minutes = durationSeconds > 0 ? durationSeconds / 60 : 0;
+  const wordsPerMinute = minutes ? Math.round(words / minutes) : null;
+
+  let pace = "unknown";
+  if (wordsPerMinute !== null) {
+    if (wordsPerMinute < 110) pace = "slow";
+    else if (wordsPerMinute > 170) pace = "fast";
+    else pace = "good";
+  }
+
+  return {
+    words,
+    duration_seconds: durationSeconds > 0 ? Math.round(durationSeconds) : null,
+    words_per_minute: wordsPerMinute,
+    pace,
+    filler_count: fillerCount,
+    filler_rate: words ? Math.round((fillerCount / words) * 1000) / 10 : 0,
+    fillers
+  };
+}
+
+async function handleApiTranscribe(req, res) {
+  try {
+    const contentType = String(req.headers["content-type"] || "").split(";")[0].trim();
+    if (!contentType.startsWith("audio/") && !contentType.startsWith("video/")) {
+      return sendJson(res, 415, { error: "Please upload an audio recording." });
+    }
+
+    const transcribe = STT_PROVIDERS[STT_PROVIDER];
+    if (!transcribe) {
+      throw new Error(
+        `Unknown STT_PROVIDER "${STT_PROVIDER}". Use one of: ${Object.keys(STT_PROVIDERS).join(", ")}.`
+      );
+    }
+
+    const audio = await readRawBody(req, MAX_AUDIO_BYTES);
+    if (!audio.length) {
+      return sendJson(res, 400, { error: "The recording is empty." });
+    }
+
+    const result = await transcribe({ audio, contentType });
+    const transcript = (result.text || "").trim();
+    const clientDuration = Number(req.headers["x-audio-duration"]);
+    const duration = result.duration || (Number.isFinite(clientDuration) ? clientDuration : 0);
+
+    return sendJson(res, 200, { transcript, stats: getSpeechStats(transcript, duration) });
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error" });
+  }
+}
+
+const scryptAsync = promisify(scrypt);
+
+async function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  const key = await scryptAsync(password, salt, 64);
+  return `${salt}:${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored || "").split(":");
+  if (!salt || !hash) return false;
+  const key = await scryptAsync(password, salt, 64);
+  const expected = Buffer.from(hash, "hex");
+  return expected.length === key.length && timingSafeEqual(expected, key);
+}
+
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+function normalizeEmail(value) {
+  const email = typeof value === "string" ? value.trim().toLowerCase() : "";
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+}
+
+function publicUser(user) {
+  return { id: user.id, email: user.email };
+}
+
+function decodeCookieValue(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+function parseCookies(req) {
+  return Object.fromEntries(
+    String(req.headers.cookie || "")
+      .split(";")
+      .map((part) => part.trim().split("="))
+      .filter(([name, value]) => name && value !== undefined)
+      .map(([name, ...rest]) => [name, decodeCookieValue(rest.join("="))])
+      .filter(([, value]) => value !== null)
+  );
+}
+
+function sessionCookie(token, maxAgeSeconds) {
+  const secure = APP_URL.startsWith("https://") ? "; Secure" : "";
+  return `${SESSION_COOKIE}=${token}; HttpOnly; Path=/; SameSite=Lax; Max-Age=${maxAgeSeconds}${secure}`;
+}
+
+function startSession(res, userId) {
+  const token = randomBytes(32).toString("base64url");
+  insertSession(hashToken(token), userId);
+  res.setHeader("Set-Cookie", sessionCookie(token, SESSION_TTL_MS / 1000));
+}
+
+function getSessionUser(req) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (!token) return null;
+  return findSessionUser(hashToken(token));
+}
+
+function parseAdminUsers(value) {
+  // ADMIN_USERS="alice:secret:admin,bob:other-secret:viewer"
+  return String(value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const parts = entry.split(":");
+      const role = parts.length >= 3 ? parts.pop() : "viewer";
+      const [username, ...password] = parts;
+      return { username, password: password.join(":"), role };
+    })
+    .filter((user) => user.username && user.password && ["admin", "viewer"].includes(user.role));
+}
+
+function safeEqual(a, b) {
+  const left = createHash("sha256").update(String(a)).digest();
+  const right = createHash("sha256").update(String(b)).digest();
+  return timingSafeEqual(left, right);
+}
+
+function authenticateAdmin(req) {
+  const header = String(req.headers.authorization || "");
+  if (!header.startsWith("Basic ")) return null;
+
+  const decoded = Buffer.from(header.slice("Basic ".length), "base64").toString("utf-8");
+  const separator = decoded.indexOf(":");
+  if (separator < 0) return null;
+
+  const username = decoded.slice(0, separator);
+  const password = decoded.slice(separator + 1);
+  const admin = ADMIN_USERS.find((user) => user.username === username);
+  if (!admin || !safeEqual(password, admin.password)) return null;
+  return { username: admin.username, role: admin.role };
+}
+
+function requireAdmin(req, res, requiredRole) {
+  if (!ADMIN_USERS.length) {
+    sendHtml(res, 503, "<p>Admin access is not configured. Set ADMIN_USERS in .env.</p>");
+    return null;
+  }
+
+  const admin = authenticateAdmin(req);
+  if (!admin) {
+    if (req.headers.authorization) {
+      recordAdminAudit(req, null, "auth_failed", 401);
+    }
+    res.writeHead(401, {
+      "Content-Type": "text/plain; charset=utf-8",
+      "WWW-Authenticate": 'Basic realm="Admin", charset="UTF-8"'
+    });
+    res.end("Authentication required");
+    return null;
+  }
+
+  if (ADMIN_ROLE_RANK[admin.role] < ADMIN_ROLE_RANK[requiredRole]) {
+    recordAdminAudit(req, admin, "forbidden", 403);
+    sendHtml(res, 403, "<p>Your admin role cannot access this page.</p>");
+    return null;
+  }
+
+  return admin;
+}
+
+function requireUser(req, res) {
+  const user = getSessionUser(req);
+  if (!user) {
+    sendJson(res, 401, { error: "Please sign in first." });
+    return null;
+  }
+  return user;
+}
+
+async function sendMail({ to, subject, text }) {
+  // Local stand-in for a mail provider: messages land in DATA_DIR/outbox as .eml files.
+  await mkdir(OUTBOX_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const fileName = `${stamp}-${to.replace(/[^a-z0-9]+/gi, "_")}.eml`;
+  const message = [
+    `To: ${to}`,
+    "From: Design Role Questioner <no-reply@localhost>",
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    text,
+    ""
+  ].join("\r\n");
+  await writeFile(join(OUTBOX_DIR, fileName), message);
+  console.log(`Mail to ${to} written to ${join(OUTBOX_DIR, fileName)}`);
+}
+
+async function handleAuthRegister(req, res) {
+  try {
+    const payload = await readJsonBody(req);
+    const email = normalizeEmail(payload?.email);
+    const password = typeof payload?.password === "string" ? payload.password : "";
+
+    if (!email) {
+      return sendJson(res, 400, { error: "Please enter a valid email address." });
+    }
+    if (password.length < 8) {
+      return sendJson(res, 400, { error: "Password must be at least 8 characters." });
+    }
+
+    // Accounts created through a sign-in link have no password yet. Setting one here
+    // would hand the account to whoever registers first, so they sign in by link instead.
+    if (findUserByEmail(email)) {
+      return sendJson(res, 409, {
+        error: "An account with this email already exists. Sign in, or ask for a sign-in link."
+      });
+    }
+
+    const user = findOrCreateUser(email);
+    setUserPassword(user.id, await hashPassword(password));
+    startSession(res, user.id);
+
+    return sendJson(res, 200, { user: publicUser(user) });
+  } catch (err) {
+    return sendJson(res, 500, { error: err.message || "Server error" });
+  }
+}
+
+async function handleAuthLogin(req, res) {
+  try {
+    const payload = await readJsonBody(req);
+    const email = normalizeEmail(payload?.email);
+    const password = typeof payload?.password === "string" ? payload.password : "";
+    const user = email ? findUserByEmail(email) : null;
+
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return sendJson(res, 401, { error: "Email or password is incorrect." });
+    }
+
+    startSession(res, user.id);
+    return sendJson(res, 200, { user: publicUser(user) });
+  } catch (err) {
+    return sendJson(res, 500, { error: err.message || "Server error" });
+  }
+}
+
+async function handleAuthMagicLink(req, res) {
+  try {
+    const payload = await readJsonBody(req);
+    const email = normalizeEmail(payload?.email);
+    if (!email) {
+      return sendJson(res, 400, { error: "Please enter a valid email address." });
+    }
+
+    const token = randomBytes(32).toString("base64url");
+    insertMagicLink(hashToken(token), email);
+    await sendMail({
+      to: email,
+      subject: "Your sign-in link",
+      text: `Open this link to sign in. It expires in 15 minutes.\n\n${APP_URL}/auth/magic?token=${token}`
+    });
+
+    return sendJson(res, 200, { ok: true });
+  } catch (err) {
+    return sendJson(res, 500, { error: err.message || "Server error" });
+  }
+}
+
+function handleMagicLinkCallback(req, res) {
+  const token = new URL(req.url, APP_URL).searchParams.get("token") || "";
+  const email = token ? consumeMagicLink(hashToken(token)) : null;
+
+  if (!email) {
+    return sendHtml(res, 400, "<p>This sign-in link is invalid or has expired. <a href=\"/jobs.html\">Request a new one</a>.</p>");
+  }
+
+  const user = findOrCreateUser(email);
+  startSession(res, user.id);
+  res.writeHead(302, { Location: "/jobs.html" });
+  res.end();
+}
+
+function handleAuthLogout(req, res) {
+  try {
+    const token = parseCookies(req)[SESSION_COOKIE];
+    if (token) {
+      deleteSession(hashToken(token));
+    }
+    res.setHeader("Set-Cookie", sessionCookie("", 0));
+    return sendJson(res, 200, { ok: true });
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error" });
+  }
+}
+
+function handleApiMe(req, res) {
+  try {
+    const user = getSessionUser(req);
+    return sendJson(res, 200, { user: user ? publicUser(user) : null });
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error" });
+  }
+}
+
+function summarizeSavedJob(job) {
+  return {
+    id: job.id,
+    title: job.title,
+    url: job.url,
+    role_level: job.analysis?.role_level || "unknown",
+    focus: job.analysis?.focus || "",
+    questionCount: (job.analysis?.themes || []).reduce(
+      (sum, block) => sum + (block.questions?.length || 0),
+      0
+    ),
+    answerCount: job.answerCount || 0,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+function handleApiJobs(req, res) {
+  try {
+    const user = requireUser(req, res);
+    if (!user) return;
+
+    const jobs = listSavedJobs(user.id).map(summarizeSavedJob);
+    return sendJson(res, 200, { jobs });
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error" });
+  }
+}
+
+async function handleApiJob(req, res, jobId, action) {
+  try {
+    const user = requireUser(req, res);
+    if (!user) return;
+
+    const job = getSavedJob(jobId, user.id);
+    if (!job) {
+      return sendJson(res, 404, { error: "Saved job not found." });
+    }
+
+    if (req.method === "GET" && !action) {
+      const company = findCompanyProfile({ url: job.url, company: job.posting?.company });
+      return sendJson(res, 200, { job, company: publicCompanyProfile(company) });
+    }
+
+    if (req.method === "DELETE" && !action) {
+      deleteSavedJob(job.id);
+      return sendJson(res, 200, { ok: true });
+    }
+
+    if (req.method === "POST" && action === "questions") {
+      const payload = await readJsonBody(req);
+      const themes = Array.isArray(payload?.themes) ? payload.themes : [];
+      themes.forEach((block) => {
+        const questions = (block?.questions || []).filter((question) => typeof question === "string");
+        const existing = job.analysis.themes.find((item) => item.theme === block?.theme);
+        if (existing) {
+          existing.questions.push(...questions);
+        } else if (block?.theme && questions.length) {
+          job.analysis.themes.push({ theme: block.theme, questions });
         }
+      });
+      updateSavedJobAnalysis(job.id, job.analysis);
+      addPracticeCards(db, user.id, job.id, themes);
+      return sendJson(res, 200, { job: summarizeSavedJob(job) });
+    }
+
+    if (req.method === "POST" && action === "answers") {
+      const payload = await readJsonBody(req);
+      const question = typeof payload?.question === "string" ? payload.question : "";
+      if (!question) {
+        return sendJson(res, 400, { error: "Missing question." });
       }
+      upsertJobAnswer(job.id, question, {
+        answer: typeof payload?.answer === "string" ? payload.answer.slice(0, 6000) : "",
+        feedback: payload?.feedback || null,
+        speech: payload?.speech || null
+      });
+      return sendJson(res, 200, { ok: true });
+    }
+
+    return sendJson(res, 405, { error: "Method not allowed." });
+  } catch (err) {
+    return sendJson(res, 500, { error: err.message || "Server error" });
+  }
+}
+
+const STORY_FIELDS = ["situation", "task", "action", "result"];
+const STORY_TEXT_MAX_CHARS = 2000;
+const STORY_TAGS_MAX = 10;
+const STORY_MATCH_MIN_SCORE = 1.5;
+const STORY_MATCH_LIMIT = 3;
+const STORY_STOP_WORDS = new Set(
+  "the and for with you your that this time about tell describe what how when where which who did was were have has had from into our their they them then than give example walk through project made make were would could should while also".split(
+    " "
+  )
+);
+
+function readStoryTags(value) {
+  return Array.from(
+    new Set(
+      (Array.isArray(value) ? value : [])
+        .filter((tag) => typeof tag === "string")
+        .map((tag) => tag.trim().slice(0, 60))
+        .filter(Boolean)
+    )
+  ).slice(0, STORY_TAGS_MAX);
+}
+
+function readStoryPayload(payload) {
+  const title = typeof payload?.title === "string" ? payload.title.trim().slice(0, 120) : "";
+  if (!title) {
+    const err = new Error("Give the story a title.");
+    err.status = 400;
+    throw err;
+  }
+  const story = { title, competencies: readStoryTags(payload.competencies), signals: readStoryTags(payload.signals) };
+  STORY_FIELDS.forEach((field) => {
+    story[field] = typeof payload[field] === "string" ? payload[field].trim().slice(0, STORY_TEXT_MAX_CHARS) : "";
+  });
+  return story;
+}
+
+function storyTokens(text) {
+  return new Set(
+    normalizeQuestion(text)
+      .split(" ")
+      .filter((word) => word.length > 2 && !STORY_STOP_WORDS.has(word))
+  );
+}
+
+function countShared(a, b) {
+  return Array.from(a).filter((word) => b.has(word)).length;
+}
+
+function competencyScore(story, theme) {
+  const themeWords = storyTokens(theme);
+  return Math.max(
+    0,
+    ...story.competencies.map((competency) => {
+      const words = storyTokens(competency);
+      return words.size ? countShared(words, themeWords) / words.size : 0;
     })
+  );
+}
+
+function matchStoriesToAnalysis(stories, analysis) {
+  const roleSignals = new Set((analysis?.signals || []).map((signal) => String(signal).toLowerCase()));
+  const indexed = stories.map((story) => ({
+    story,
+    words: storyTokens(
+      [story.title, ...STORY_FIELDS.map((field) => story[field]), ...story.competencies, ...story.signals].join(" ")
+    ),
+    signals: story.signals.map((signal) => signal.toLowerCase())
+  }));
+  const summarize = ({ story }, score) => ({ id: story.id, title: story.title, score: Math.round(score * 10) / 10 });
+
+  const themes = (analysis?.themes || []).map((block) => {
+    const questions = (block.questions || []).filter((question) => typeof question === "string");
+    const scored = indexed.map((entry) => {
+      const base =
+        3 * competencyScore(entry.story, block.theme || "") +
+        0.5 * entry.signals.filter((signal) => roleSignals.has(signal)).length;
+      return { entry, base };
+    });
+    const themeWords = storyTokens([block.theme, ...questions].join(" "));
+    const ranked = scored
+      .map(({ entry, base }) => ({ entry, score: base + Math.min(2, 0.25 * countShared(themeWords, entry.words)) }))
+      .filter((item) => item.score >= STORY_MATCH_MIN_SCORE)
+      .sort((a, b) => b.score - a.score);
+
+    const questionMatches = questions.map((question) => {
+      const questionWords = storyTokens(question);
+      const lowered = question.toLowerCase();
+      const best = scored
+        .map(({ entry, base }) => ({
+          entry,
+          score:
+            base +
+            Math.min(2, 0.5 * countShared(questionWords, entry.words)) +
+            0.5 * entry.signals.filter((signal) => lowered.includes(signal)).length
+        }))
+        .filter((item) => item.score >= STORY_MATCH_MIN_SCORE)
+        .sort((a, b) => b.score - a.score)[0];
+      return { question, story: best ? summarize(best.entry, best.score) : null };
+    });
+    const themeStories = ranked.map((item) => summarize(item.entry, item.score));
+    questionMatches.forEach(({ story }) => {
+      if (story && !themeStories.some((item) => item.id === story.id)) themeStories.push(story);
+    });
+
+    return {
+      theme: block.theme,
+      covered: themeStories.length > 0,
+      stories: themeStories.slice(0, STORY_MATCH_LIMIT),
+      questions: questionMatches
+    };
   });
 
-  if (!response.ok) {
-    const errText = await response.text();
-    throw new Error(`OpenAI error: ${response.status} ${errText}`);
+  return { themes, uncovered: themes.filter((block) => !block.covered).map((block) => block.theme) };
+}
+
+async function handleApiStories(req, res, storyId) {
+  try {
+    const user = requireUser(req, res);
+    if (!user) return;
+
+    if (!storyId && req.method === "GET") {
+      return sendJson(res, 200, { stories: listStories(user.id) });
+    }
+
+    if (!storyId && req.method === "POST") {
+      const story = readStoryPayload(await readJsonBody(req));
+      return sendJson(res, 201, { story: saveStory(user.id, { ...story, id: randomUUID() }) });
+    }
+
+    if (storyId === "match" && req.method === "POST") {
+      const payload = await readJsonBody(req);
+      const job = payload?.jobId ? getSavedJob(String(payload.jobId), user.id) : null;
+      const analysis = job?.analysis || payload?.analysis;
+      if (!Array.isArray(analysis?.themes)) {
+        return sendJson(res, 400, { error: "Missing analysis." });
+      }
+      const stories = listStories(user.id);
+      return sendJson(res, 200, { storyCount: stories.length, ...matchStoriesToAnalysis(stories, analysis) });
+    }
+
+    const story = storyId ? getStory(storyId, user.id) : null;
+    if (!story) {
+      return sendJson(res, 404, { error: "Story not found." });
+    }
+
+    if (req.method === "GET") {
+      return sendJson(res, 200, { story });
+    }
+
+    if (req.method === "PUT") {
+      const updates = readStoryPayload(await readJsonBody(req));
+      return sendJson(res, 200, { story: saveStory(user.id, { ...updates, id: story.id }) });
+    }
+
+    if (req.method === "DELETE") {
+      deleteStory(story.id);
+      return sendJson(res, 200, { ok: true });
+    }
+
+    return sendJson(res, 405, { error: "Method not allowed." });
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error" });
   }
+}
 
-  const data = await response.json();
-  const outputItems = Array.isArray(data.output) ? data.output : [];
-  const message = outputItems.find((item) => item.type === "message");
-  const content = message?.content || [];
-  const textPart = content.find((part) => part.type === "output_text");
-  const raw = textPart?.text || "";
+const PRACTICE_CONFIDENCE_QUALITY = { 1: 1, 2: 3, 3: 4, 4: 5 };
+const PRACTICE_SESSION_SIZE = 10;
+const PRACTICE_SESSION_MAX = 50;
 
-  if (!raw) {
-    throw new Error("OpenAI response missing output text.");
+function schedulePracticeCard(card, confidence, timeZone) {
+  const quality = PRACTICE_CONFIDENCE_QUALITY[confidence];
+  const ease = Math.max(1.3, card.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  if (quality < 3) {
+    return { ease, repetitions: 0, intervalDays: 1, dueDay: practiceDay(timeZone, 1), confidence };
+  }
+
+  const repetitions = card.repetitions + 1;
+  let intervalDays = Math.round(Math.max(1, card.intervalDays) * ease);
+  if (repetitions === 1) intervalDays = 1;
+  if (repetitions === 2) intervalDays = 6;
+  return { ease, repetitions, intervalDays, dueDay: practiceDay(timeZone, intervalDays), confidence };
+}
+
+async function handleApiPractice(req, res, action) {
+  try {
+    const user = requireUser(req, res);
+    if (!user) return;
+
+    const params = new URL(req.url, APP_URL).searchParams;
+    if (req.method === "GET" && !action) {
+      const stats = getPracticeStats(user.id, readTimeZone(params.get("timeZone")));
+      return sendJson(res, 200, {
+        total: stats.total,
+        dueToday: stats.due_today,
+        newCards: stats.new_cards,
+        reviewedToday: stats.reviewed_today
+      });
+    }
+
+    if (req.method === "GET" && action === "session") {
+      const requested = Number.parseInt(params.get("limit"), 10) || PRACTICE_SESSION_SIZE;
+      const limit = Math.min(PRACTICE_SESSION_MAX, Math.max(1, requested));
+      const cards = listDuePracticeCards(user.id, {
+        jobId: params.get("jobId") || null,
+        limit,
+        timeZone: readTimeZone(params.get("timeZone"))
+      });
+      return sendJson(res, 200, { cards });
+    }
+
+    if (req.method === "POST" && action === "review") {
+      const payload = await readJsonBody(req);
+      const timeZone = readTimeZone(payload?.timeZone);
+      const confidence = Number(payload?.confidence);
+      if (!PRACTICE_CONFIDENCE_QUALITY[confidence]) {
+        return sendJson(res, 400, { error: "Confidence must be 1, 2, 3 or 4." });
+      }
+      const card = typeof payload?.question === "string" ? getPracticeCard(user.id, payload.question) : null;
+      if (!card) {
+        return sendJson(res, 404, { error: "Question is not in your practice deck." });
+      }
+      updatePracticeCard(user.id, card.question, schedulePracticeCard(card, confidence, timeZone));
+      return sendJson(res, 200, { card: getPracticeCard(user.id, card.question) });
+    }
+
+    return sendJson(res, 405, { error: "Method not allowed." });
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error" });
+  }
+}
+
+const EXPORT_FORMATS = {
+  pdf: { type: "application/pdf", extension: "pdf", build: exportPdf },
+  markdown: { type: "text/markdown; charset=utf-8", extension: "md", build: exportMarkdown },
+  anki: { type: "text/tab-separated-values; charset=utf-8", extension: "tsv", build: exportAnki },
+  ics: { type: "text/calendar; charset=utf-8", extension: "ics", build: exportIcs }
+};
+const EXPORT_DEFAULT_SESSIONS = 5;
+const EXPORT_MAX_SESSIONS = 14;
+const EXPORT_SESSION_MINUTES = 30;
+
+function readExportSource(payload, user) {
+  if (payload?.jobId) {
+    const job = getSavedJob(String(payload.jobId), user.id);
+    if (!job) {
+      const err = new Error("Saved job not found.");
+      err.status = 404;
+      throw err;
+    }
+    return { title: exportTitle(job.posting?.title || job.title), analysis: job.analysis, answers: job.answers };
+  }
+
+  const analysis = payload?.analysis;
+  if (!Array.isArray(analysis?.themes) || !analysis.themes.length) {
+    const err = new Error("Generate questions before exporting.");
+    err.status = 400;
+    throw err;
+  }
+  const answers = payload.answers && typeof payload.answers === "object" ? payload.answers : {};
+  return { title: exportTitle(payload.title), analysis, answers };
+}
+
+function exportTitle(value) {
+  const line = String(value || "")
+    .split(/\r?\n/)
+    .map((part) => part.replace(/^#+\s*/, "").trim())
+    .find(Boolean);
+  return line ? line.slice(0, 200) : "Interview prep";
+}
+
+function exportThemes(source) {
+  return source.analysis.themes.map((block) => ({
+    theme: String(block.theme || "Questions"),
+    questions: (block.questions || [])
+      .filter((question) => typeof question === "string")
+      .map((question) => ({ question, saved: exportSavedAnswer(source.answers?.[question]) }))
+  }));
+}
+
+// Client exports send answers as-is, so keep only ones with a written answer.
+function exportSavedAnswer(saved) {
+  const answer = typeof saved?.answer === "string" ? saved.answer.trim() : "";
+  if (!answer) return null;
+  const feedback = saved.feedback && typeof saved.feedback === "object" ? saved.feedback : null;
+  return { answer, feedback };
+}
+
+function exportRoleLines(analysis) {
+  const level = analysis.role_level || "unknown";
+  return [
+    `Seniority: ${level.charAt(0).toUpperCase()}${level.slice(1)}`,
+    `Focus: ${analysis.focus || "unknown"}`,
+    `Signals: ${(analysis.signals || []).join(", ") || "none"}`
+  ];
+}
+
+function exportFeedbackLine(feedback) {
+  if (!feedback) return "";
+  const improvements = Array.isArray(feedback.improvements) ? feedback.improvements.join(" ") : "";
+  return `Feedback: ${feedback.overall_score ?? 0}/5.${improvements ? ` To improve: ${improvements}` : ""}`;
+}
+
+function exportMarkdown(source) {
+  const lines = [`# ${source.title}`, "", ...exportRoleLines(source.analysis).map((line) => `- ${line}`)];
+  exportThemes(source).forEach((block) => {
+    lines.push("", `## ${block.theme}`, "");
+    block.questions.forEach(({ question, saved }, index) => {
+      lines.push(`${index + 1}. ${question}`);
+      if (!saved) return;
+      lines.push("", ...saved.answer.trim().split(/\r?\n/).map((line) => `   > ${line}`));
+      if (saved.feedback) lines.push("", `   ${exportFeedbackLine(saved.feedback)}`);
+      lines.push("");
+    });
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+function exportAnki(source) {
+  // Anki 2.1.54+ reads the # header lines; escapeHtml also keeps quotes from being read as CSV quoting.
+  const field = (value) => escapeHtml(value).replace(/\t/g, " ").replace(/\r?\n/g, "<br>");
+  const tag = (value) => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "_").replace(/^_+|_+$/g, "");
+  const signals = (source.analysis.signals || []).join(", ");
+  const rows = exportThemes(source).flatMap((block) =>
+    block.questions.map(({ question, saved }) => {
+      const back = [`<b>${field(block.theme)}</b>`, signals ? `Signals: ${field(signals)}` : ""];
+      if (saved) back.push(`<br>Your answer:<br>${field(saved.answer.trim())}`, field(exportFeedbackLine(saved.feedback)));
+      const tags = [tag(block.theme), source.analysis.role_level || ""].filter(Boolean).join(" ");
+      return [field(question), back.filter(Boolean).join("<br>"), tags].join("\t");
+    })
+  );
+  return [
+    "#separator:tab",
+    "#html:true",
+    "#notetype:Basic",
+    `#deck:Interview prep::${source.title.replace(/[\t\r\n]+/g, " ")}`,
+    "#columns:Front\tBack\tTags",
+    "#tags column:3",
+    ...rows
+  ].join("\n") + "\n";
+}
+
+function icsText(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function foldIcsLine(line) {
+  // RFC 5545: lines longer than 75 octets continue on the next line after a space.
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function icsDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").slice(0, 15);
+}
+
+function readTimeZone(value) {
+  if (!value) return "UTC";
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: String(value) }).resolvedOptions().timeZone;
+  } catch {
+    const err = new Error("Unknown time zone.");
+    err.status = 400;
+    throw err;
+  }
+}
+
+function zonedDay(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+}
+
+function timeZoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric"
+    })
+      .formatToParts(instant)
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return wall - Math.floor(instant / 60000) * 60000;
+}
+
+// The instant a wall-clock time on a given day happens in timeZone.
+function zonedTime(day, time, timeZone) {
+  const wall = Date.parse(`${day}T${time}:00Z`);
+  return new Date(wall - timeZoneOffset(wall - timeZoneOffset(wall, timeZone), timeZone));
+}
+
+function exportIcs(source, payload) {
+  const now = new Date();
+  const timeZone = readTimeZone(payload?.timeZone);
+  const today = zonedDay(now, timeZone);
+  const interviewDate = String(payload?.interviewDate || "");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(interviewDate) || Number.isNaN(Date.parse(interviewDate)) || interviewDate <= today) {
+    const err = new Error("Pick an interview date after today.");
+    err.status = 400;
+    throw err;
+  }
+  const time = /^([01]\d|2[0-3]):[0-5]\d$/.test(payload?.time || "") ? payload.time : "18:00";
+  const requested = Number.parseInt(payload?.sessions, 10);
+  const sessionCount = Math.min(EXPORT_MAX_SESSIONS, requested > 0 ? requested : EXPORT_DEFAULT_SESSIONS);
+
+  // Sessions are spread from tomorrow to the day before the interview, or today if it is tomorrow.
+  const dayMs = 24 * 60 * 60 * 1000;
+  const span = Math.round((Date.parse(interviewDate) - Date.parse(today)) / dayMs) - 1;
+  const count = Math.max(1, Math.min(sessionCount, span));
+  const offsets = Array.from({ length: count }, (_, index) =>
+    span < 1 ? 0 : 1 + Math.round((index * (span - 1)) / Math.max(1, count - 1))
+  );
+
+  // Times are written in UTC, from the user's own time zone; a session that has already started is left out.
+  const starts = offsets
+    .map((offset) => zonedTime(new Date(Date.parse(today) + offset * dayMs).toISOString().slice(0, 10), time, timeZone))
+    .filter((start) => start > now);
+
+  const themes = exportThemes(source);
+  const stamp = `${icsDateTime(now)}Z`;
+  const events = starts.map((start, index) => {
+    const end = new Date(start.getTime() + EXPORT_SESSION_MINUTES * 60 * 1000);
+    const runThrough = starts.length > 1 && index === starts.length - 1;
+    const focus = runThrough ? themes : [themes[index % themes.length]];
+    const description = [
+      runThrough ? "Full run-through. Answer every question out loud." : "Answer these questions out loud, using STAR.",
+      ...focus.flatMap((block) => ["", block.theme, ...block.questions.map(({ question }) => `- ${question}`)])
+    ].join("\n");
+    return [
+      "BEGIN:VEVENT",
+      `UID:${randomUUID()}@design-role-questioner`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDateTime(start)}Z`,
+      `DTEND:${icsDateTime(end)}Z`,
+      `SUMMARY:${icsText(`Interview practice ${index + 1}/${starts.length}: ${runThrough ? "Full run-through" : focus[0].theme}`)}`,
+      `DESCRIPTION:${icsText(`${source.title}\n\n${description}`)}`,
+      "END:VEVENT"
+    ];
+  });
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Design Role Questioner//Practice schedule//EN",
+    "CALSCALE:GREGORIAN",
+    ...events.flat(),
+    "BEGIN:VEVENT",
+    `UID:${randomUUID()}@design-role-questioner`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${interviewDate.replace(/-/g, "")}`,
+    `SUMMARY:${icsText(`Interview: ${source.title}`)}`,
+    `DESCRIPTION:${icsText(exportRoleLines(source.analysis).join("\n"))}`,
+    "END:VEVENT",
+    "END:VCALENDAR"
+  ]
+    .map(foldIcsLine)
+    .join("\r\n") + "\r\n";
+}
+
+const PDF_PAGE_WIDTH = 595;
+const PDF_PAGE_HEIGHT = 842;
+const PDF_MARGIN = 56;
+// Helvetica advance widths (per 1000 units) for ASCII 32-126, from the standard AFM metrics.
+const PDF_HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556,
+  556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334,
+  260, 334, 584
+];
+const PDF_WIN_ANSI = { "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97 };
+
+function pdfTextWidth(text, size, bold) {
+  let units = 0;
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? PDF_HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  // Bold glyphs are slightly wider; scaling the regular metrics keeps wrapping on the safe side.
+  return (units * size * (bold ? 1.08 : 1)) / 1000;
+}
+
+function wrapPdfText(text, size, bold, maxWidth) {
+  const lines = [];
+  String(text)
+    .split(/\r?\n/)
+    .forEach((paragraph) => {
+      let line = "";
+      paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && pdfTextWidth(candidate, size, bold) > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      });
+      lines.push(line);
+    });
+  return lines;
+}
+
+function pdfString(text) {
+  let out = "";
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    const byte = PDF_WIN_ANSI[char] ?? (code < 256 && (code < 0x80 || code >= 0xa0) ? code : 0x3f);
+    const encoded = String.fromCharCode(byte);
+    out += encoded === "(" || encoded === ")" || encoded === "\\" ? `\\${encoded}` : encoded;
+  }
+  return `(${out})`;
+}
+
+function renderPdf(blocks) {
+  const pages = [[]];
+  let y = PDF_PAGE_HEIGHT - PDF_MARGIN;
+  const room = (height) => {
+    if (y - height < PDF_MARGIN) {
+      pages.push([]);
+      y = PDF_PAGE_HEIGHT - PDF_MARGIN;
+    }
+    y -= height;
+  };
+
+  blocks.forEach((block) => {
+    const x = PDF_MARGIN + (block.indent || 0);
+    y -= block.gap || 0;
+    if (block.rule) {
+      room(18);
+      pages[pages.length - 1].push(`0.75 G 0.5 w ${x} ${y} m ${PDF_PAGE_WIDTH - PDF_MARGIN} ${y} l S`);
+      return;
+    }
+    const size = block.size || 11;
+    wrapPdfText(block.text, size, block.bold, PDF_PAGE_WIDTH - PDF_MARGIN - x).forEach((line) => {
+      room(size * 1.35);
+      pages[pages.length - 1].push(
+        `${block.gray ?? 0} g BT /${block.bold ? "F2" : "F1"} ${size} Tf ${x} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`
+      );
+    });
+  });
+  pages.forEach((operations, index) =>
+    operations.push(`0.5 g BT /F1 9 Tf ${PDF_MARGIN} 30 Td ${pdfString(`Page ${index + 1} of ${pages.length}`)} Tj ET`)
+  );
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages.map((_, index) => `${5 + index * 2} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    ...pages.flatMap((operations, index) => {
+      const content = operations.join("\n");
+      return [
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`,
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+      ];
+    })
+  ];
+
+  // Every character is a single Latin-1 byte, so string lengths are byte offsets.
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+function exportPdf(source) {
+  const blocks = [
+    { text: source.title, size: 18, bold: true },
+    ...exportRoleLines(source.analysis).map((text, index) => ({ text, size: 10, gray: 0.35, gap: index ? 0 : 6 }))
+  ];
+  exportThemes(source).forEach((block) => {
+    blocks.push({ text: block.theme, size: 13, bold: true, gap: 16 });
+    block.questions.forEach(({ question, saved }, index) => {
+      blocks.push({ text: `${index + 1}. ${question}`, gap: 6 });
+      if (saved) {
+        blocks.push({ text: "Your answer", size: 9, bold: true, gray: 0.35, indent: 14, gap: 4 });
+        blocks.push({ text: saved.answer.trim(), size: 10, gray: 0.35, indent: 14 });
+        if (saved.feedback) blocks.push({ text: exportFeedbackLine(saved.feedback), size: 9, gray: 0.35, indent: 14, gap: 2 });
+      } else {
+        blocks.push({ rule: true, indent: 14 }, { rule: true, indent: 14 });
+      }
+    });
+  });
+  return renderPdf(blocks);
+}
+
+async function handleApiExport(req, res, format) {
+  try {
+    const payload = await readJsonBody(req);
+    const user = getSessionUser(req);
+    if (payload?.jobId && !user) {
+      return sendJson(res, 401, { error: "Please sign in first." });
+    }
+
+    const source = readExportSource(payload, user);
+    const exporter = EXPORT_FORMATS[format];
+    const body = exporter.build(source, payload);
+    const fileName =
+      source.title
+        .toLowerCase()
+        .normalize("NFKD")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 60) || "interview-prep";
+    res.writeHead(200, {
+      "Content-Type": exporter.type,
+      "Content-Disposition": `attachment; filename="${fileName}.${exporter.extension}"`,
+      "Content-Length": Buffer.byteLength(body)
+    });
+    return res.end(body);
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error" });
   }
+}
 
-  let parsed;
+async function handleApiEvents(req, res) {
   try {
-    parsed = JSON.parse(raw);
+    const payload = await readJsonBody(req);
+    if (!CLIENT_EVENT_TYPES.includes(payload?.type)) {
+      return sendJson(res, 400, { error: "Unknown event type." });
+    }
+    recordEvent(req, payload.type);
+    res.writeHead(204);
+    return res.end();
   } catch (err) {
-    throw new Error("OpenAI returned non-JSON output.");
+    return sendJson(res, 400, { error: err.message || "Bad request" });
   }
+}
 
-  if (!parsed.themes || !Array.isArray(parsed.themes)) {
-    throw new Error("OpenAI JSON missing themes array.");
+async function readUploadRequest(req) {
+  const contentType = String(req.headers["content-type"] || "");
+  if (!contentType.startsWith("multipart/form-data")) {
+    return readJsonBody(req);
   }
 
-  let final = parsed;
+  const body = await readRawBody(req, MAX_UPLOAD_BYTES);
+  const form = await new Response(body, { headers: { "Content-Type": contentType } }).formData();
+  const file = form.get("file");
+  return {
+    file: file && typeof file !== "string" ? file : null,
+    fresh: form.get("fresh") === "true",
+    profile: form.get("profile") || "",
+    language: form.get("language") || ""
+  };
+}
 
-  if (final.role_level === "unknown" && heuristicLevel !== "unknown") {
-    final = { ...final, role_level: heuristicLevel };
+async function runAnalysis(req, payload, emit = () => {}) {
+  const url = payload?.url;
+  const rawText = payload?.text;
+  const fresh = payload?.fresh === true;
+  if (payload?.profile && !isRoleProfile(payload.profile)) {
+    const err = new Error(`Unknown role profile. Use one of: ${Object.keys(ROLE_PROFILES).join(", ")}.`);
+    err.status = 400;
+    throw err;
+  }
+  if (payload?.language && !isLanguage(payload.language)) {
+    const err = new Error(`Unknown language. Use one of: ${Object.keys(LANGUAGES).join(", ")}.`);
+    err.status = 400;
+    throw err;
   }
 
-  if (final.role_type === "unknown" && extracted.role_type !== "unknown") {
-    final = { ...final, role_type: extracted.role_type };
+  let jobText = "";
+  let posting = null;
+  let parseMeta = { method: "unknown", length: 0 };
+  if (payload.file) {
+    recordEvent(req, "analyze_submit", { source: "upload" });
+    emit("progress", { stage: "read_file", fileName: payload.file.name });
+    const uploaded = await extractUploadedFile(payload.file);
+    jobText = uploaded.text;
+    posting = uploaded.posting;
+    parseMeta = { method: uploaded.method, length: jobText.length, fileName: payload.file.name };
+    if (uploaded.extractor) parseMeta.extractor = uploaded.extractor;
+  } else if (rawText && typeof rawText === "string" && rawText.trim().length >= MIN_PASTED_TEXT_CHARS) {
+    recordEvent(req, "analyze_submit", { source: "pasted" });
+    // Checked again after boilerplate (EEO statements, benefits) is stripped.
+    const pasted = buildJobPosting({}, sectionsFromText(rawText));
+    if (!pasted || pasted.text.length < MIN_PASTED_TEXT_CHARS) {
+      const err = new Error("Please paste at least a few lines of the job description itself, not only benefits or legal text.");
+      err.status = 400;
+      throw err;
+    }
+    ({ text: jobText, posting } = pasted);
+    parseMeta = { method: "pasted", length: jobText.length };
+  } else if (url && isValidHttpUrl(url)) {
+    recordEvent(req, "analyze_submit", { source: "url" });
+    recordJobLink(url);
+    const cachedText = fresh ? null : getCachedJobText(url);
+    let parsed = cachedText;
+    if (!parsed) {
+      emit("progress", { stage: "fetch", url });
+      const attempts = [];
+      const started = Date.now();
+      try {
+        parsed = await fetchJobText(url, attempts);
+      } catch (err) {
+        recordExtractionReport({ url, attempts, started, error: err.code ? `${err.code}: ${err.message}` : err.message });
+        recordEvent(req, "parse_result", { method: "failed", ok: 0, code: err.code || null, error: String(err.message).slice(0, 200) });
+        throw err;
+      }
+      recordExtractionReport({ url, attempts, started, parsed });
+      setCachedJobText(url, parsed);
+    }
+    jobText = parsed.text;
+    posting = parsed.posting;
+    parseMeta = { method: parsed.method || "direct", length: jobText.length, cached: Boolean(cachedText) };
+    recordEvent(req, "parse_result", { method: parseMeta.method, ok: 1, length: jobText.length, cached: parseMeta.cached });
+  } else {
+    const err = new Error("Please provide a valid URL or paste the job text.");
+    err.status = 400;
+    throw err;
   }
+  parseMeta.language = detectLanguage(jobText);
+  const language = payload.language || parseMeta.language;
+  const profile = payload.profile || detectRoleProfile(jobText, posting?.title, parseMeta.language);
+  parseMeta.profileSource = payload.profile ? "selected" : "detected";
+  emit("parse", { ...parseMeta, title: posting?.title || null });
 
-  if (final.domain === "unknown" && extracted.domain !== "unknown") {
-    final = { ...final, domain: extracted.domain };
+  const extracted = extractSignals(jobText, profile, parseMeta.language);
+  emit("signals", {
+    role_level: inferSeniorityFromText(jobText, url, parseMeta.language),
+    role_type: extracted.role_type,
+    domain: extracted.domain,
+    focus: inferFocusFromText(jobText, profile),
+    signals: extracted.signals,
+    profile,
+    language
+  });
+
+  const company = findCompanyProfile({ url, company: posting?.company });
+  const cacheKey = getAnalysisCacheKey(jobText, profile, language, company);
+  const cachedAnalysis = fresh ? null : getCachedAnalysis(cacheKey);
+  let analysis = cachedAnalysis;
+  if (analysis) {
+    analysis.themes.forEach((block) => emit("theme", block));
+  } else {
+    try {
+      const prepared = await prepareJobPostingForModel(posting, profile);
+      parseMeta.condensed = prepared.strategy;
+      emit("progress", { stage: "model", condensed: prepared.strategy });
+      analysis = await generateAnalysis(jobText, url, prepared.text, {
+        onTheme: (block) => emit("theme", block),
+        profile,
+        language,
+        company
+      });
+    } catch (err) {
+      recordEvent(req, "model_error", { provider: LLM_PROVIDER, error: String(err.message).slice(0, 200) });
+      throw err;
+    }
   }
-
-  if (!final.focus || final.focus.trim() === "" || final.focus.trim().toLowerCase() === "unknown") {
-    final = { ...final, focus: heuristicFocus };
+  recordEvent(req, "analysis_ready", { cached: Boolean(cachedAnalysis) });
+  if (!cachedAnalysis) {
+    setCachedAnalysis(cacheKey, analysis);
+    pruneCache();
   }
 
-  const parsedSignals = Array.isArray(final.signals) ? final.signals : [];
-  const mergedSignals = [...parsedSignals, ...extracted.signals].filter(
-    (value, index, array) => value && array.indexOf(value) === index
-  );
-  final = { ...final, signals: mergedSignals.slice(0, 10) };
+  const user = getSessionUser(req);
+  let jobId = null;
+  if (user) {
+    const now = new Date();
+    jobId = randomUUID();
+    insertSavedJob({
+      id: jobId,
+      userId: user.id,
+      title:
+        posting?.title ||
+        parseMeta.fileName ||
+        (url && isValidHttpUrl(url) ? new URL(url).hostname : jobText.slice(0, 80)),
+      url: url && isValidHttpUrl(url) ? url : null,
+      jobText,
+      posting,
+      parse: parseMeta,
+      analysis,
+      createdAt: now.toISOString(),
+      createdAtMs: now.getTime(),
+      updatedAt: now.toISOString()
+    });
+  }
 
-  return final;
+  return {
+    analysis,
+    posting,
+    parse: parseMeta,
+    company: publicCompanyProfile(company),
+    cached: Boolean(cachedAnalysis),
+    jobId
+  };
 }
 
 async function handleApiAnalyze(req, res) {
-  let body = "";
-  req.on("data", (chunk) => {
-    body += chunk;
-  });
-
-  req.on("end", async () => {
-    try {
-      const payload = JSON.parse(body || "{}");
-      const url = payload?.url;
-      const rawText = payload?.text;
-
-      let jobText = "";
-      let parseMeta = { method: "unknown", length: 0 };
-      if (rawText && typeof rawText === "string" && rawText.trim().length >= 200) {
-        jobText = normalizeJobText(rawText);
-        parseMeta = { method: "pasted", length: jobText.length };
-      } else if (url && isValidHttpUrl(url)) {
-        jobLinks.push({
-          title: new URL(url).hostname,
-          url,
-          createdAt: new Date().toISOString(),
-          createdAtMs: Date.now()
-        });
-        await persistJobLinks();
-        const parsed = await fetchJobText(url);
-        jobText = parsed.text;
-        parseMeta = { method: parsed.method || "direct", length: jobText.length };
-      } else {
-        return sendJson(res, 400, { error: "Please provide a valid URL or paste the job text." });
-      }
+  try {
+    const payload = await readUploadRequest(req);
+    return sendJson(res, 200, await runAnalysis(req, payload));
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error", code: err.code });
+  }
+}
 
-      const analysis = await callOpenAI(jobText, url);
+async function handleApiAnalyzeStream(req, res) {
+  let payload;
+  try {
+    payload = await readUploadRequest(req);
+  } catch (err) {
+    return sendJson(res, err.status || 500, { error: err.message || "Server error", code: err.code });
+  }
 
-      return sendJson(res, 200, { analysis, parse: parseMeta });
-    } catch (err) {
-      return sendJson(res, 500, { error: err.message || "Server error" });
-    }
-  });
+  startEventStream(res);
+  try {
+    sendEvent(res, "result", await runAnalysis(req, payload, (event, data) => sendEvent(res, event, data)));
+  } catch (err) {
+    sendEvent(res, "error", { error: err.message || "Server error", code: err.code, status: err.status || 500 });
+  }
+  return res.end();
 }
 
 async function serveStatic(req, res) {
   const urlPath = req.url === "/" ? "/index.html" : req.url;
   const safePath = urlPath.split("?")[0];
-  const filePath = join(PUBLIC_DIR, safePath);
+  const filePath = resolvePath(PUBLIC_DIR, `.${safePath}`);
   const ext = extname(filePath);
 
   try {
+    if (!isInsideDir(filePath, PUBLIC_DIR)) throw new Error("Outside public directory");
     const data = await readFile(filePath);
     res.writeHead(200, {
       "Content-Type": MIME_TYPES[ext] || "application/octet-stream"
@@ -609,12 +5758,75 @@ async function serveStatic(req, res) {
   }
 }
 
+function renderBarChart(days, counts) {
+  const max = Math.max(1, ...days.map((day) => counts.get(day) || 0));
+  const bars = days
+    .map((day) => {
+      const value = counts.get(day) || 0;
+      const height = Math.round((value / max) * 100);
+      return `<div class="bar" style="height:${height}%" title="${day}: ${value}"></div>`;
+    })
+    .join("");
+  return `<div class="chart">${bars}</div>
+        <div class="axis"><span>${days[0]}</span><span>${days[days.length - 1]}</span></div>`;
+}
+
+function formatPercent(part, whole) {
+  return whole ? `${Math.round((part / whole) * 100)}%` : "–";
+}
+
 function renderAnalyticsPage() {
-  const total = analytics.totalVisits;
+  const analytics = getVisitStats();
+  const stats = getDashboardStats(DASHBOARD_DAYS);
   const updated = analytics.lastUpdated
     ? new Date(analytics.lastUpdated).toLocaleString("en-US")
     : "Never";
 
+  const days = [];
+  for (let offset = DASHBOARD_DAYS - 1; offset >= 0; offset -= 1) {
+    days.push(new Date(Date.now() - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+  }
+  const dailyCounts = (type, field) =>
+    new Map(stats.daily.filter((row) => row.type === type).map((row) => [row.day, row[field]]));
+  const funnelByType = new Map(stats.funnel.map((row) => [row.type, row]));
+  const eventCount = (type) => funnelByType.get(type)?.count || 0;
+
+  const funnelSteps = [
+    ["page_view", "Visited"],
+    ["analyze_submit", "Submitted a job"],
+    ["analysis_ready", "Got an analysis"],
+    ["quiz_start", "Started a quiz"],
+    ["more_questions", "Asked for more"]
+  ];
+  const funnelTop = funnelByType.get("page_view")?.visitors || 0;
+  const funnelRows = funnelSteps
+    .map(([type, label]) => {
+      const visitors = funnelByType.get(type)?.visitors || 0;
+      return `<tr><td>${label}</td><td>${visitors}</td><td>${formatPercent(visitors, funnelTop)}</td></tr>`;
+    })
+    .join("");
+
+  const submissions = stats.sources.reduce((sum, row) => sum + row.count, 0);
+  const sourceRows = ["url", "pasted", "upload"]
+    .map((source) => {
+      const count = stats.sources.find((row) => row.source === source)?.count || 0;
+      return `<tr><td>${source}</td><td>${count}</td><td>${formatPercent(count, submissions)}</td></tr>`;
+    })
+    .join("");
+
+  const parses = stats.parseMethods.reduce((sum, row) => sum + row.count, 0);
+  const failures = parses - stats.parseMethods.reduce((sum, row) => sum + (row.ok || 0), 0);
+  const parseRows = stats.parseMethods.length
+    ? stats.parseMethods
+        .map(
+          (row) => `<tr><td>${escapeHtml(row.method || "unknown")}</td><td>${row.count}</td><td>${formatPercent(
+            row.count,
+            parses
+          )}</td><td>${row.avg_length ? Math.round(row.avg_length) : "–"}</td></tr>`
+        )
+        .join("")
+    : `<tr><td colspan="4" class="muted">No URL fetches yet.</td></tr>`;
+
   return `<!doctype html>
 <html lang="en">
   <head>
@@ -633,40 +5845,91 @@ function renderAnalyticsPage() {
       }
       .wrap {
         min-height: 100vh;
-        display: grid;
-        place-items: center;
         padding: 32px;
+        display: grid;
+        gap: 20px;
+        max-width: 1080px;
+        margin: 0 auto;
+      }
+      h1 {
+        margin: 0;
+        font-size: 22px;
+        letter-spacing: 0.02em;
+      }
+      h2 {
+        margin: 0 0 14px;
+        font-size: 14px;
+        text-transform: uppercase;
+        letter-spacing: 0.16em;
+        color: #9aa3b2;
+      }
+      .grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+        gap: 16px;
       }
       .card {
-        width: min(520px, 100%);
         background: #171a21;
         border-radius: 16px;
-        padding: 28px;
+        padding: 22px;
         box-shadow: 0 18px 40px rgba(0, 0, 0, 0.45);
         border: 1px solid rgba(255, 255, 255, 0.08);
       }
-      h1 {
-        margin: 0 0 12px;
-        font-size: 22px;
-        letter-spacing: 0.02em;
-      }
       .metric {
-        font-size: 56px;
+        font-size: 40px;
         font-weight: 700;
-        margin: 8px 0 16px;
+        margin: 4px 0 8px;
       }
       .label {
-        font-size: 14px;
+        font-size: 12px;
         text-transform: uppercase;
         letter-spacing: 0.16em;
         color: #9aa3b2;
       }
+      .muted,
       .updated {
+        font-size: 13px;
+        color: #9aa3b2;
+      }
+      .chart {
+        display: flex;
+        align-items: flex-end;
+        gap: 3px;
+        height: 120px;
+      }
+      .bar {
+        flex: 1;
+        min-height: 2px;
+        background: #8cc7ff;
+        border-radius: 3px 3px 0 0;
+      }
+      .axis {
+        display: flex;
+        justify-content: space-between;
+        margin-top: 6px;
+        font-size: 12px;
+        color: #6f7785;
+      }
+      table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+      th, td {
+        text-align: left;
+        padding: 10px 12px;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.06);
         font-size: 14px;
+      }
+      th {
+        text-transform: uppercase;
+        letter-spacing: 0.12em;
         color: #9aa3b2;
+        font-size: 12px;
+      }
+      tr:last-child td {
+        border-bottom: none;
       }
       .note {
-        margin-top: 18px;
         font-size: 12px;
         color: #6f7785;
       }
@@ -674,41 +5937,87 @@ function renderAnalyticsPage() {
   </head>
   <body>
     <div class="wrap">
+      <h1>Analytics</h1>
+      <div class="grid">
+        <div class="card">
+          <div class="label">Total visits</div>
+          <div class="metric">${analytics.totalVisits}</div>
+          <div class="updated">Last updated: ${updated}</div>
+        </div>
+        <div class="card">
+          <div class="label">Unique visitors (${DASHBOARD_DAYS}d)</div>
+          <div class="metric">${stats.uniqueVisitors}</div>
+          <div class="updated">Counted per day</div>
+        </div>
+        <div class="card">
+          <div class="label">Analyses (${DASHBOARD_DAYS}d)</div>
+          <div class="metric">${eventCount("analysis_ready")}</div>
+          <div class="updated">${eventCount("analyze_submit")} submitted</div>
+        </div>
+        <div class="card">
+          <div class="label">Model errors (${DASHBOARD_DAYS}d)</div>
+          <div class="metric">${eventCount("model_error")}</div>
+          <div class="updated">Fetch failures: ${failures} of ${parses}</div>
+        </div>
+      </div>
+      <div class="grid">
+        <div class="card">
+          <h2>Daily page views</h2>
+          ${renderBarChart(days, dailyCounts("page_view", "count"))}
+        </div>
+        <div class="card">
+          <h2>Daily analyses</h2>
+          ${renderBarChart(days, dailyCounts("analysis_ready", "count"))}
+        </div>
+      </div>
+      <div class="grid">
+        <div class="card">
+          <h2>Funnel (unique visitors)</h2>
+          <table>
+            <thead><tr><th>Step</th><th>Visitors</th><th>Of visited</th></tr></thead>
+            <tbody>${funnelRows}</tbody>
+          </table>
+        </div>
+        <div class="card">
+          <h2>Input source</h2>
+          <table>
+            <thead><tr><th>Source</th><th>Count</th><th>Share</th></tr></thead>
+            <tbody>${sourceRows}</tbody>
+          </table>
+        </div>
+      </div>
       <div class="card">
-        <div class="label">Total visits</div>
-        <div class="metric">${total}</div>
-        <div class="updated">Last updated: ${updated}</div>
-        <div class="note">Counts visits to "/" and "/index.html".</div>
+        <h2>Parse methods</h2>
+        <table>
+          <thead><tr><th>Method</th><th>Count</th><th>Share</th><th>Avg length</th></tr></thead>
+          <tbody>${parseRows}</tbody>
+        </table>
+      </div>
+      <div class="note">
+        Last ${DASHBOARD_DAYS} days since ${stats.since}. Visitors are identified by a daily-salted hash; visitor events store no IPs or user agents, and
+        requests with Do Not Track or Global Privacy Control are counted without a visitor ID. The admin audit log does keep the IP and user agent of each admin request.
       </div>
     </div>
   </body>
 </html>`;
 }
 
-function renderLinksPage() {
-  const rows = jobLinks
-    .slice()
-    .reverse()
-    .map((item) => {
-      const date = item?.createdAt
-        ? new Date(item.createdAt).toLocaleString("en-US")
-        : "—";
-      const title = item?.title || "Untitled";
-      const url = item?.url || "";
-      return `<tr>
-        <td>${date}</td>
-        <td>${title}</td>
-        <td><a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a></td>
-      </tr>`;
-    })
-    .join("");
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll("\"", "&quot;")
+    .replaceAll("'", "&#39;");
+}
 
+function renderAdminTablePage({ title, heading, toolbar = "", columns, rows, emptyText, footer = "" }) {
   return `<!doctype html>
 <html lang="en">
   <head>
     <meta charset="utf-8" />
     <meta name="viewport" content="width=device-width,initial-scale=1" />
-    <title>Job Links</title>
+    <title>${escapeHtml(title)}</title>
     <style>
       :root {
         color-scheme: dark;
@@ -728,6 +6037,13 @@ function renderLinksPage() {
         font-size: 22px;
         letter-spacing: 0.02em;
       }
+      .toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 16px;
+        margin: -6px 0 18px;
+        font-size: 14px;
+      }
       table {
         width: 100%;
         border-collapse: collapse;
@@ -763,50 +6079,525 @@ function renderLinksPage() {
         border-radius: 12px;
         border: 1px solid rgba(255, 255, 255, 0.08);
       }
+      .muted {
+        color: #9aa3b2;
+      }
+      .ok {
+        color: #7fdc9f;
+      }
+      .fail {
+        color: #ff8c8c;
+      }
+      .edit {
+        display: grid;
+        gap: 14px;
+        max-width: 720px;
+        margin-top: 28px;
+      }
+      .edit h2 {
+        margin: 0;
+        font-size: 18px;
+      }
+      .edit label {
+        display: grid;
+        gap: 6px;
+        font-size: 13px;
+        color: #9aa3b2;
+      }
+      input,
+      textarea {
+        padding: 10px 12px;
+        font: inherit;
+        font-size: 14px;
+        color: #f5f7ff;
+        background: #171a21;
+        border: 1px solid rgba(255, 255, 255, 0.12);
+        border-radius: 8px;
+      }
+      button {
+        justify-self: start;
+        padding: 10px 18px;
+        font: inherit;
+        font-size: 14px;
+        color: #0f1115;
+        background: #8cc7ff;
+        border: none;
+        border-radius: 8px;
+        cursor: pointer;
+      }
+      td form {
+        margin: 0;
+      }
+      td button {
+        padding: 0;
+        color: #ff8c8c;
+        background: none;
+      }
+      pre {
+        margin: 18px 0 0;
+        padding: 16px;
+        white-space: pre-wrap;
+        word-break: break-word;
+        font-size: 13px;
+        background: #171a21;
+        border-radius: 12px;
+        border: 1px solid rgba(255, 255, 255, 0.08);
+      }
     </style>
   </head>
   <body>
     <div class="wrap">
-      <h1>Saved Job Links (${jobLinks.length})</h1>
+      <h1>${escapeHtml(heading)}</h1>
+      ${toolbar ? `<div class="toolbar">${toolbar}</div>` : ""}
       ${
         rows
           ? `<table>
               <thead>
                 <tr>
-                  <th>Date</th>
-                  <th>Title</th>
-                  <th>URL</th>
+                  ${columns.map((column) => `<th>${escapeHtml(column)}</th>`).join("")}
                 </tr>
               </thead>
               <tbody>
                 ${rows}
               </tbody>
             </table>`
-          : `<div class="empty">No links saved yet.</div>`
+          : `<div class="empty">${escapeHtml(emptyText)}</div>`
       }
+      ${footer}
     </div>
   </body>
 </html>`;
 }
 
+function renderLinksPage(admin) {
+  const total = countJobLinks();
+  const rows = listJobLinks(LINKS_PAGE_LIMIT)
+    .map((item) => {
+      const date = item?.createdAt
+        ? new Date(item.createdAt).toLocaleString("en-US")
+        : "—";
+      const title = escapeHtml(item?.title || "Untitled");
+      const url = escapeHtml(item?.url || "");
+      return `<tr>
+        <td>${date}</td>
+        <td>${title}</td>
+        <td><a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a></td>
+      </tr>`;
+    })
+    .join("");
+
+  return renderAdminTablePage({
+    title: "Job Links",
+    heading: `Saved Job Links (${total})`,
+    toolbar: admin.role === "admin"
+      ? `<a href="/admin/links.csv">Export CSV</a><a href="/admin/extraction">Extraction quality</a><a href="/admin/companies">Company profiles</a><a href="/admin/audit">Audit log</a>`
+      : "",
+    columns: ["Date", "Title", "URL"],
+    rows,
+    emptyText: "No links saved yet."
+  });
+}
+
+function renderAuditPage() {
+  const rows = listAdminAuditLog(AUDIT_PAGE_LIMIT)
+    .map((entry) => `<tr>
+        <td>${new Date(entry.created_at).toLocaleString("en-US")}</td>
+        <td>${escapeHtml(entry.username || "—")}</td>
+        <td>${escapeHtml(entry.role || "—")}</td>
+        <td>${escapeHtml(entry.action)}</td>
+        <td class="${entry.status >= 400 ? "fail" : "ok"}">${entry.status ?? "—"}</td>
+        <td>${escapeHtml(entry.path)}</td>
+        <td>${escapeHtml(entry.ip || "—")}</td>
+      </tr>`)
+    .join("");
+
+  return renderAdminTablePage({
+    title: "Admin Audit Log",
+    heading: "Admin Audit Log",
+    columns: ["Date", "User", "Role", "Action", "Status", "Path", "IP"],
+    rows,
+    emptyText: "No admin activity recorded yet."
+  });
+}
+
+function renderExtractionPage() {
+  const rows = listExtractionHosts()
+    .map((host) => {
+      const failureRate = Math.round((host.failures / host.fetches) * 100);
+      const methods = host.methods.map((item) => `${escapeHtml(item.method)} (${item.count})`).join(", ");
+      return `<tr>
+        <td><a href="/admin/extraction/sample?host=${encodeURIComponent(host.host)}">${escapeHtml(host.host)}</a></td>
+        <td>${host.fetches}</td>
+        <td>${host.failures}</td>
+        <td class="${failureRate ? "fail" : "ok"}">${failureRate}%</td>
+        <td>${methods}</td>
+        <td>${host.avg_length ? Math.round(host.avg_length) : "—"}</td>
+        <td>${Math.round(host.avg_latency_ms)} ms</td>
+        <td>${new Date(host.last_seen_ms).toLocaleString("en-US")}</td>
+      </tr>`;
+    })
+    .join("");
+
+  return renderAdminTablePage({
+    title: "Extraction Quality",
+    heading: "Extraction Quality by Host",
+    toolbar: `<span class="muted">Ranked by failure rate. Cached fetches are not counted.</span>`,
+    columns: ["Host", "Fetches", "Failures", "Failure rate", "Methods", "Avg length", "Avg latency", "Last seen"],
+    rows,
+    emptyText: "No job pages fetched yet."
+  });
+}
+
+function renderExtractionSamplePage(req) {
+  const host = new URL(req.url, "http://localhost").searchParams.get("host") || "";
+  const sample = getExtractionSample(host);
+  if (!sample) {
+    return renderAdminTablePage({
+      title: "Extraction Sample",
+      heading: host || "Extraction Sample",
+      toolbar: `<a href="/admin/extraction">Back to hosts</a>`,
+      columns: [],
+      rows: "",
+      emptyText: "No fetches recorded for this host."
+    });
+  }
+
+  const rows = sample.attempts
+    .map((attempt) => `<tr>
+        <td>${escapeHtml(attempt.method)}</td>
+        <td class="${attempt.ok ? "ok" : "fail"}">${attempt.ok ? "ok" : escapeHtml(attempt.reason)}</td>
+        <td>${attempt.length}</td>
+        <td>${attempt.ms} ms</td>
+      </tr>`)
+    .join("");
+  const url = escapeHtml(sample.url);
+  const outcome = sample.ok
+    ? `Extracted ${sample.length} characters with ${escapeHtml(sample.method)}`
+    : `Failed: ${escapeHtml(sample.error || "unknown error")}`;
+
+  return renderAdminTablePage({
+    title: "Extraction Sample",
+    heading: sample.host,
+    toolbar: `<a href="/admin/extraction">Back to hosts</a>
+      <a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>
+      <span class="${sample.ok ? "ok" : "fail"}">${outcome}</span>
+      <span class="muted">${new Date(sample.created_at_ms).toLocaleString("en-US")}, ${sample.latency_ms} ms</span>`,
+    columns: ["Method", "Result", "Length", "Time"],
+    rows,
+    emptyText: "No extraction methods were tried.",
+    footer: sample.sample_text ? `<pre>${escapeHtml(sample.sample_text)}</pre>` : ""
+  });
+}
+
+const COMPANY_FORM_MAX_BYTES = 64 * 1024;
+
+function renderCompaniesPage(req, error = "", draft = null) {
+  const editId = new URL(req.url, "http://localhost").searchParams.get("id") || "";
+  const company = draft || (editId ? getCompanyProfile(editId) : null);
+  const rows = listCompanyProfiles()
+    .map((item) => `<tr>
+        <td><a href="/admin/companies?id=${encodeURIComponent(item.id)}">${escapeHtml(item.name)}</a></td>
+        <td>${escapeHtml(item.hosts.join(", ")) || "—"}</td>
+        <td>${escapeHtml(item.values.join(", ")) || "—"}</td>
+        <td>${item.principles.length || "—"}</td>
+        <td>${item.loop.length || "—"}</td>
+        <td class="muted">${new Date(item.updatedAt).toLocaleString("en-US")}${
+          item.updatedBy ? `, ${escapeHtml(item.updatedBy)}` : ""
+        }</td>
+        <td>
+          <form method="post" action="/admin/companies/delete">
+            <input type="hidden" name="id" value="${escapeHtml(item.id)}" />
+            <button type="submit">Delete</button>
+          </form>
+        </td>
+      </tr>`)
+    .join("");
+  const lines = (field) => escapeHtml((company?.[field] || []).join("\n"));
+
+  return renderAdminTablePage({
+    title: "Company Profiles",
+    heading: "Company Profiles",
+    toolbar: `<a href="/admin/companies">New company</a>
+      <span class="muted">Matched by posting host or company name, and added to the analysis prompt.</span>`,
+    columns: ["Company", "Hosts", "Values", "Principles", "Loop stages", "Updated", ""],
+    rows,
+    emptyText: "No company profiles yet.",
+    footer: `<form class="edit" method="post" action="/admin/companies/save">
+        <h2>${company?.id ? `Edit ${escapeHtml(company.name)}` : "New company"}</h2>
+        ${error ? `<p class="fail">${escapeHtml(error)}</p>` : ""}
+        <input type="hidden" name="id" value="${escapeHtml(company?.id || "")}" />
+        <label>Name <input name="name" value="${escapeHtml(company?.name || "")}" required /></label>
+        <label>Hosts, one per line (subdomains match too)<textarea name="hosts" rows="3">${lines("hosts")}</textarea></label>
+        <label>Other names, one per line<textarea name="aliases" rows="2">${lines("aliases")}</textarea></label>
+        <label>Stated values, one per line<textarea name="values" rows="5">${lines("values")}</textarea></label>
+        <label>Leadership principles, one per line<textarea name="principles" rows="5">${lines("principles")}</textarea></label>
+        <label>Interview loop, one stage per line<textarea name="loop" rows="5">${lines("loop")}</textarea></label>
+        <label>Notes<textarea name="notes" rows="3">${escapeHtml(company?.notes || "")}</textarea></label>
+        <button type="submit">Save</button>
+      </form>`
+  });
+}
+
+function readCompanyForm(params) {
+  const lines = (field) =>
+    String(params.get(field) || "")
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line, index, array) => line && array.indexOf(line) === index);
+  const name = String(params.get("name") || "").trim();
+  const id =
+    String(params.get("id") || "").trim() ||
+    name
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+
+  return {
+    id,
+    name,
+    hosts: lines("hosts").map((host) =>
+      host
+        .toLowerCase()
+        .replace(/^https?:\/\//, "")
+        .replace(/^www\./, "")
+        .replace(/[/?#].*$/, "")
+    ),
+    aliases: lines("aliases"),
+    values: lines("values"),
+    principles: lines("principles"),
+    loop: lines("loop"),
+    notes: String(params.get("notes") || "").trim()
+  };
+}
+
+function isSameOriginRequest(req) {
+  // Basic auth is sent automatically by the browser, so admin form posts must come from our own pages.
+  const source = req.headers.origin || req.headers.referer;
+  if (!source) return false;
+  try {
+    return new URL(source).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+async function handleAdminCompanyPost(req, res, admin, action) {
+  if (!isSameOriginRequest(req)) {
+    return sendHtml(res, 403, "<p>Cross-site form posts are not allowed.</p>");
+  }
+
+  let params;
+  try {
+    params = new URLSearchParams((await readRawBody(req, COMPANY_FORM_MAX_BYTES)).toString("utf8"));
+  } catch (err) {
+    return sendHtml(res, err.status || 400, `<p>${escapeHtml(err.message)}</p>`);
+  }
+
+  if (action === "delete") {
+    deleteCompanyProfile(String(params.get("id") || ""));
+  } else {
+    const company = readCompanyForm(params);
+    if (!company.name || !company.id) {
+      return sendHtml(res, 400, renderCompaniesPage(req, "Enter a company name.", company));
+    }
+    saveCompanyProfile(company, admin.username);
+  }
+
+  res.writeHead(303, { Location: "/admin/companies" });
+  return res.end();
+}
+
+function csvCell(value) {
+  // Prefix formula-like values so spreadsheets do not evaluate submitted URLs or titles.
+  const raw = String(value ?? "");
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n]/.test(text) ? `"${text.replaceAll("\"", "\"\"")}"` : text;
+}
+
+function sendLinksCsv(res) {
+  const lines = [
+    ["created_at", "title", "url"].join(","),
+    ...listJobLinks(countJobLinks()).map((item) =>
+      [item.createdAt, item.title, item.url].map(csvCell).join(",")
+    )
+  ];
+  const body = `${lines.join("\n")}\n`;
+  res.writeHead(200, {
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="job-links-${new Date().toISOString().slice(0, 10)}.csv"`,
+    "Content-Length": Buffer.byteLength(body)
+  });
+  res.end(body);
+}
+
+const ADMIN_ROUTES = {
+  "/admin/analytics": {
+    role: "viewer",
+    action: "view_analytics",
+    handle: (req, res) => sendHtml(res, 200, renderAnalyticsPage())
+  },
+  "/admin/links": {
+    role: "admin",
+    action: "view_links",
+    handle: (req, res, admin) => sendHtml(res, 200, renderLinksPage(admin))
+  },
+  "/admin/links.csv": {
+    role: "admin",
+    action: "export_links",
+    handle: (req, res) => sendLinksCsv(res)
+  },
+  "/admin/audit": {
+    role: "admin",
+    action: "view_audit_log",
+    handle: (req, res) => sendHtml(res, 200, renderAuditPage())
+  },
+  "/admin/extraction": {
+    role: "admin",
+    action: "view_extraction_report",
+    handle: (req, res) => sendHtml(res, 200, renderExtractionPage())
+  },
+  "/admin/extraction/sample": {
+    role: "admin",
+    action: "view_extraction_sample",
+    handle: (req, res) => sendHtml(res, 200, renderExtractionSamplePage(req))
+  },
+  "/admin/companies": {
+    role: "admin",
+    action: "view_companies",
+    handle: (req, res) => sendHtml(res, 200, renderCompaniesPage(req))
+  },
+  "/admin/companies/save": {
+    method: "POST",
+    role: "admin",
+    action: "save_company",
+    handle: (req, res, admin) => handleAdminCompanyPost(req, res, admin, "save")
+  },
+  "/admin/companies/delete": {
+    method: "POST",
+    role: "admin",
+    action: "delete_company",
+    handle: (req, res, admin) => handleAdminCompanyPost(req, res, admin, "delete")
+  }
+};
+
 const server = http.createServer(async (req, res) => {
-  if (req.method === "POST" && req.url.startsWith("/api/analyze")) {
-    return handleApiAnalyze(req, res);
+  const pathOnly = req.url.split("?")[0];
+
+  if (req.method === "POST" && pathOnly === "/api/auth/register") {
+    return handleAuthRegister(req, res);
+  }
+
+  if (req.method === "POST" && pathOnly === "/api/auth/login") {
+    return handleAuthLogin(req, res);
+  }
+
+  if (req.method === "POST" && pathOnly === "/api/auth/magic-link") {
+    return handleAuthMagicLink(req, res);
+  }
+
+  if (req.method === "POST" && pathOnly === "/api/auth/logout") {
+    return handleAuthLogout(req, res);
+  }
+
+  if (req.method === "GET" && pathOnly === "/auth/magic") {
+    return handleMagicLinkCallback(req, res);
+  }
+
+  if (req.method === "GET" && pathOnly === "/api/me") {
+    return handleApiMe(req, res);
+  }
+
+  if (req.method === "GET" && pathOnly === "/api/jobs") {
+    return handleApiJobs(req, res);
+  }
+
+  const jobMatch = pathOnly.match(/^\/api\/jobs\/([\w-]+)(?:\/(questions|answers))?$/);
+  if (jobMatch) {
+    return handleApiJob(req, res, jobMatch[1], jobMatch[2]);
+  }
+
+  const storyMatch = pathOnly.match(/^\/api\/stories(?:\/([\w-]+))?$/);
+  if (storyMatch) {
+    return handleApiStories(req, res, storyMatch[1]);
+  }
+
+  const practiceMatch = pathOnly.match(/^\/api\/practice(?:\/(session|review))?$/);
+  if (practiceMatch) {
+    return handleApiPractice(req, res, practiceMatch[1]);
+  }
+
+  if (req.method === "POST" && pathOnly === "/api/interview") {
+    return handleApiInterviewStart(req, res);
+  }
+
+  const interviewMatch = pathOnly.match(/^\/api\/interview\/([\w-]+)(?:\/(turns|debrief))?$/);
+  if (interviewMatch) {
+    return handleApiInterview(req, res, interviewMatch[1], interviewMatch[2]);
+  }
+
+  if (pathOnly === "/api/resume") {
+    return handleApiResume(req, res);
+  }
+
+  if (req.method === "POST" && pathOnly === "/api/resume/review") {
+    return handleApiResumeReview(req, res);
+  }
+
+  if (req.method === "POST" && req.url.startsWith("/api/questions/more")) {
+    return handleApiMoreQuestions(req, res);
+  }
+
+  if (req.method === "POST" && req.url.startsWith("/api/feedback")) {
+    return handleApiFeedback(req, res);
+  }
+
+  if (req.method === "POST" && req.url.startsWith("/api/transcribe")) {
+    return handleApiTranscribe(req, res);
+  }
+
+  const exportMatch = pathOnly.match(/^\/api\/export\/(pdf|markdown|anki|ics)$/);
+  if (req.method === "POST" && exportMatch) {
+    return handleApiExport(req, res, exportMatch[1]);
+  }
+
+  if (req.method === "POST" && pathOnly === "/api/events") {
+    return handleApiEvents(req, res);
+  }
+
+  if (req.method === "POST" && pathOnly === "/api/analyze/stream") {
+    return handleApiAnalyzeStream(req, res);
   }
 
-  if (req.method === "GET" && req.url.startsWith("/admin/analytics")) {
-    return sendHtml(res, 200, renderAnalyticsPage());
+  if (req.method === "POST" && req.url.startsWith("/api/analyze")) {
+    return handleApiAnalyze(req, res);
   }
 
-  if (req.method === "GET" && req.url.startsWith("/admin/links")) {
-    return sendHtml(res, 200, renderLinksPage());
+  const adminRoute = ADMIN_ROUTES[pathOnly];
+  if (adminRoute && req.method === (adminRoute.method || "GET")) {
+    const admin = requireAdmin(req, res, adminRoute.role);
+    if (!admin) return;
+    // Logged once the handler has answered, so rejected and failed requests are recorded with their status.
+    let status;
+    try {
+      await adminRoute.handle(req, res, admin);
+      status = res.statusCode;
+    } catch (err) {
+      console.error(`Admin ${adminRoute.action} failed:`, err);
+      status = 500;
+      if (res.headersSent) {
+        res.end();
+      } else {
+        sendHtml(res, 500, "<p>Something went wrong. The error has been logged.</p>");
+      }
+    }
+    return recordAdminAudit(req, admin, adminRoute.action, status);
   }
 
   if (req.method === "GET") {
-    const pathOnly = req.url.split("?")[0];
     if (pathOnly === "/" || pathOnly === "/index.html") {
-      analytics.totalVisits += 1;
-      await persistAnalytics();
+      recordVisit();
+      recordEvent(req, "page_view", { path: "/" });
     }
     return serveStatic(req, res);
   }
@@ -815,8 +6606,13 @@ const server = http.createServer(async (req, res) => {
   res.end("Method not allowed");
 });
 
-await loadAnalytics();
-await loadJobLinks();
-server.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
-});
+runMigrations();
+pruneAnalytics();
+// Tests import the module and listen on their own port.
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  server.listen(PORT, () => {
+    console.log(`Server running at http://localhost:${PORT}`);
+  });
+}
+
+export { server, parseJobTextFromHtml, ATS_ENDPOINTS, ADMIN_ROUTES, fetchForRender };
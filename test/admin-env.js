@@ -0,0 +1,2 @@
+// Imported before helpers.js in tests that need the admin pages enabled.
+process.env.ADMIN_USERS = "root:root-password:admin";
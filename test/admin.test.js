@@ -0,0 +1,51 @@
+import "./admin-env.js";
+import assert from "node:assert/strict";
+import { after, before, mock, test } from "node:test";
+import { baseUrl, startServer, stopServer } from "./helpers.js";
+import { ADMIN_ROUTES } from "../server.js";
+
+const AUTH = `Basic ${Buffer.from("root:root-password").toString("base64")}`;
+
+before(startServer);
+after(stopServer);
+
+function saveCompany(origin) {
+  return fetch(`${baseUrl}/admin/companies/save`, {
+    method: "POST",
+    redirect: "manual",
+    headers: { Authorization: AUTH, "Content-Type": "application/x-www-form-urlencoded", Origin: origin },
+    body: new URLSearchParams({ name: "Acme", hosts: "acme.example", values: "Ship it" })
+  });
+}
+
+async function latestAuditRow() {
+  const html = await (await fetch(`${baseUrl}/admin/audit`, { headers: { Authorization: AUTH } })).text();
+  return html.match(/<tr>\s*<td>[\s\S]*?<\/tr>/)[0];
+}
+
+test("records a rejected admin post with its status", async () => {
+  assert.equal((await saveCompany("https://evil.example")).status, 403);
+  const row = await latestAuditRow();
+  assert.match(row, /save_company<\/td>\s*<td class="fail">403<\/td>/);
+});
+
+test("records an accepted admin post with its status", async () => {
+  assert.equal((await saveCompany(baseUrl)).status, 303);
+  const row = await latestAuditRow();
+  assert.match(row, /save_company<\/td>\s*<td class="ok">303<\/td>/);
+});
+
+test("answers 500 and records the failure when an admin page throws", async (t) => {
+  t.mock.method(console, "error", () => {});
+  mock.method(ADMIN_ROUTES["/admin/links"], "handle", () => {
+    throw new Error("database is locked");
+  });
+  try {
+    const response = await fetch(`${baseUrl}/admin/links`, { headers: { Authorization: AUTH } });
+    assert.equal(response.status, 500);
+  } finally {
+    mock.restoreAll();
+  }
+  const row = await latestAuditRow();
+  assert.match(row, /view_links<\/td>\s*<td class="fail">500<\/td>/);
+});
@@ -0,0 +1,2 @@
+// Imported before setup.js in tests that fetch from a local server on 127.0.0.1.
+process.env.FETCH_ALLOWED_HOSTS = "127.0.0.1";
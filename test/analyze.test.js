@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { baseUrl, postJson, startServer, stopServer } from "./helpers.js";
+
+const JOB_TEXT = `Senior Product Designer
+
+## What you'll do
+- Design the analytics dashboard for our finance customers
+- Own and evolve the design system with engineering
+- Run usability research with customers every sprint
+
+## Requirements
+- 6+ years designing B2B SaaS products
+- Strong systems thinking and prototyping skills`;
+
+before(startServer);
+after(stopServer);
+
+function analyze(payload) {
+  return postJson("/api/analyze", payload);
+}
+
+test("analyzes pasted job text with the fixture provider", async () => {
+  const response = await analyze({ text: JOB_TEXT });
+  assert.equal(response.status, 200);
+  const { analysis, parse } = await response.json();
+
+  assert.equal(parse.method, "pasted");
+  assert.equal(analysis.profile, "design");
+  assert.equal(analysis.language, "en");
+  assert.equal(analysis.role_level, "senior");
+  assert.ok(analysis.signals.includes("b2b"));
+  assert.ok(analysis.themes.length >= 3);
+  analysis.themes.forEach((block) => {
+    assert.ok(block.theme);
+    assert.ok(block.questions.length > 0);
+  });
+});
+
+test("serves a repeated analysis from the cache", async () => {
+  const first = await (await analyze({ text: JOB_TEXT, profile: "product" })).json();
+  const second = await (await analyze({ text: JOB_TEXT, profile: "product" })).json();
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, true);
+  assert.deepEqual(second.analysis.themes, first.analysis.themes);
+});
+
+test("rejects an unknown role profile", async () => {
+  const response = await analyze({ text: JOB_TEXT, profile: "astronaut" });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /Unknown role profile/);
+});
+
+test("asks for a link or text when neither is given", async () => {
+  const response = await analyze({ text: "too short" });
+  assert.equal(response.status, 400);
+});
+
+const EEO = `We are an equal opportunity employer and value diversity regardless of race, religion, color, national origin, gender, sexual orientation, age, marital status, veteran status or disability status. Reasonable accommodations are available for applicants with disabilities.`;
+
+test("refuses pasted text that is only boilerplate", async () => {
+  const response = await analyze({ text: `${EEO}\n\n## Benefits\n- Free lunch\n- Gym membership\n- Learning budget` });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /paste at least a few lines/);
+});
+
+test("refuses pasted text that is too short once boilerplate is removed", async () => {
+  const response = await analyze({ text: `Product Designer\n\n- Design our checkout\n\n${EEO}` });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /paste at least a few lines/);
+});
+
+function postRaw(path, body) {
+  return fetch(`${baseUrl}${path}`, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+}
+
+test("answers 400 when more questions are asked for with malformed JSON", async () => {
+  const response = await postRaw("/api/questions/more", "{not json");
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /valid JSON/);
+});
+
+test("answers 400 when feedback is asked for with malformed JSON", async () => {
+  const response = await postRaw("/api/feedback", "{not json");
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /valid JSON/);
+});
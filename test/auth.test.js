@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { readdir, readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { baseUrl, postJson, startServer, stopServer } from "./helpers.js";
+
+before(startServer);
+after(stopServer);
+
+async function signInByLink(email) {
+  assert.equal((await postJson("/api/auth/magic-link", { email })).status, 200);
+  const outbox = join(process.env.DATA_DIR, "outbox");
+  const files = (await readdir(outbox)).filter((name) => name.includes(email.replace(/[^a-z0-9]+/gi, "_")));
+  const mail = await readFile(join(outbox, files.at(-1)), "utf-8");
+  const link = mail.match(/\/auth\/magic\?token=\S+/)[0];
+  const response = await fetch(`${baseUrl}${link}`, { redirect: "manual" });
+  assert.equal(response.status, 302);
+  return response.headers.get("set-cookie").split(";")[0];
+}
+
+test("registers a new account and refuses a second registration", async () => {
+  const first = await postJson("/api/auth/register", { email: "new@example.com", password: "password123" });
+  assert.equal(first.status, 200);
+  const second = await postJson("/api/auth/register", { email: "new@example.com", password: "other-password" });
+  assert.equal(second.status, 409);
+});
+
+test("does not let registration take over an account created by a sign-in link", async () => {
+  const ownerCookie = await signInByLink("owner@example.com");
+
+  const attempt = await postJson("/api/auth/register", { email: "owner@example.com", password: "attacker-pass" });
+  assert.equal(attempt.status, 409);
+  assert.equal(attempt.headers.get("set-cookie"), null);
+
+  const login = await postJson("/api/auth/login", { email: "owner@example.com", password: "attacker-pass" });
+  assert.equal(login.status, 401);
+
+  const owner = await fetch(`${baseUrl}/api/jobs`, { headers: { Cookie: ownerCookie } });
+  assert.equal(owner.status, 200);
+});
+
+test("ignores a session cookie that is not valid percent-encoding", async () => {
+  const headers = { Cookie: "sid=%E0%A4%A" };
+  const me = await fetch(`${baseUrl}/api/me`, { headers });
+  assert.equal(me.status, 200);
+  assert.deepEqual(await me.json(), { user: null });
+
+  assert.equal((await fetch(`${baseUrl}/api/jobs`, { headers })).status, 401);
+  assert.equal((await postJson("/api/auth/logout", {}, headers)).status, 200);
+});
+
+test("refuses a pasted resume that is only boilerplate", async () => {
+  const register = await postJson("/api/auth/register", { email: "resume@example.com", password: "password123" });
+  const cookie = register.headers.get("set-cookie").split(";")[0];
+  const text = `We are an equal opportunity employer and value diversity regardless of race, religion, color, national origin, gender, sexual orientation, age, marital status, veteran status or disability status. Reasonable accommodations are available.`;
+  const response = await postJson("/api/resume", { text }, { Cookie: cookie });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /paste at least a few lines/);
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, mock, test } from "node:test";
+import { postJson, startServer, stopServer } from "./helpers.js";
+
+const ANALYSIS = {
+  role_level: "senior",
+  focus: "design systems",
+  signals: ["b2b"],
+  themes: [
+    { theme: "Craft", questions: ["Tell me about a design decision you had to defend."] },
+    { theme: "Collaboration", questions: ["Describe a disagreement with an engineer."] }
+  ]
+};
+
+before(startServer);
+after(stopServer);
+afterEach(() => mock.timers.reset());
+
+async function exportCalendar(now, payload) {
+  mock.timers.enable({ apis: ["Date"], now: Date.parse(now) });
+  const response = await postJson("/api/export/ics", { analysis: ANALYSIS, title: "Product Designer", ...payload });
+  return { status: response.status, body: await response.text() };
+}
+
+function sessionStarts(calendar) {
+  return calendar
+    .split("\r\n")
+    .filter((line) => /^DTSTART:/.test(line))
+    .map((line) => line.slice("DTSTART:".length));
+}
+
+test("leaves out today's session once its time has passed", async () => {
+  // 19:45 in Berlin, interview tomorrow: the 18:00 session would already be over.
+  const { status, body } = await exportCalendar("2026-10-19T17:45:00Z", {
+    interviewDate: "2026-10-20",
+    timeZone: "Europe/Berlin"
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(sessionStarts(body), []);
+  assert.match(body, /DTSTART;VALUE=DATE:20261020/);
+});
+
+test("keeps today's session while it is still ahead", async () => {
+  const { body } = await exportCalendar("2026-10-19T10:00:00Z", {
+    interviewDate: "2026-10-20",
+    timeZone: "Europe/Berlin"
+  });
+  assert.deepEqual(sessionStarts(body), ["20261019T160000Z"]);
+});
+
+test("uses the user's date and time zone, not the server's", async () => {
+  // 19:00 on the 19th in Los Angeles is already the 20th in UTC.
+  const { status, body } = await exportCalendar("2026-10-20T02:00:00Z", {
+    interviewDate: "2026-10-22",
+    timeZone: "America/Los_Angeles"
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(sessionStarts(body), ["20261021T010000Z", "20261022T010000Z"]);
+});
+
+test("follows daylight saving changes", async () => {
+  const { body } = await exportCalendar("2026-10-19T10:00:00Z", {
+    interviewDate: "2026-10-27",
+    timeZone: "Europe/Berlin",
+    sessions: 7
+  });
+  const starts = sessionStarts(body);
+  assert.ok(starts.includes("20261024T160000Z"));
+  assert.ok(starts.includes("20261026T170000Z"));
+});
+
+test("rejects an unknown time zone", async () => {
+  const { status } = await exportCalendar("2026-10-19T10:00:00Z", {
+    interviewDate: "2026-10-22",
+    timeZone: "Mars/Olympus_Mons"
+  });
+  assert.equal(status, 400);
+});
+
+test("skips answers that are missing or not text", async () => {
+  const answers = {
+    "Tell me about a design decision you had to defend.": { answer: 42, feedback: "great" },
+    "Describe a disagreement with an engineer.": { feedback: { overall_score: 3 } }
+  };
+  for (const format of ["markdown", "anki", "pdf"]) {
+    const response = await postJson(`/api/export/${format}`, { analysis: ANALYSIS, title: "Product Designer", answers });
+    assert.equal(response.status, 200, format);
+    assert.doesNotMatch(await response.text(), /Your answer|Feedback:/, format);
+  }
+});
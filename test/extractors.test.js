@@ -0,0 +1,194 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { describe, test } from "node:test";
+import { ATS_ENDPOINTS, parseJobTextFromHtml } from "../server.js";
+
+// Saved pages and API responses from each job board, trimmed to the parts the extractors read.
+function fixture(name) {
+  return readFile(new URL(`./fixtures/${name}`, import.meta.url), "utf-8");
+}
+
+async function extractPage(name, url) {
+  return parseJobTextFromHtml({ html: await fixture(name), url });
+}
+
+async function extractEndpoint(url, name) {
+  const target = new URL(url);
+  const source = ATS_ENDPOINTS.find((item) => item.endpoint(target));
+  assert.ok(source, `no endpoint for ${url}`);
+  const endpoint = source.endpoint(target);
+  const body = await fixture(name);
+  const result = source.parse(source.format === "html" ? body : JSON.parse(body), endpoint);
+  return { method: source.method, endpoint, ...result };
+}
+
+function headings(posting) {
+  return posting.sections.map((section) => section.heading);
+}
+
+function assertPosting(posting, { title, sections, bullet }) {
+  assert.equal(posting.title, title);
+  assert.deepEqual(headings(posting), sections);
+  const bullets = posting.sections.flatMap((section) => section.bullets);
+  assert.ok(bullets.includes(bullet), `missing bullet "${bullet}"`);
+  assert.equal(new Set(bullets).size, bullets.length, "bullets are repeated");
+}
+
+describe("SmartRecruiters", () => {
+  const url = "https://jobs.smartrecruiters.com/Acme/743999000000001-senior-product-designer";
+
+  test("reads the postings API", async () => {
+    const result = await extractEndpoint(url, "smartrecruiters-api.json");
+    assert.equal(result.method, "ats-smartrecruiters-api");
+    assert.equal(result.endpoint, "https://api.smartrecruiters.com/v1/companies/Acme/postings/743999000000001");
+    assertPosting(result.posting, {
+      title: "Senior Product Designer",
+      sections: ["Job Description", "Qualifications", "Additional Information", "Company Description"],
+      bullet: "5+ years designing B2B SaaS products"
+    });
+    assert.equal(result.posting.company, "Acme GmbH");
+    assert.equal(result.posting.location, "Berlin, DE");
+    assert.equal(result.posting.employmentType, "Full-time");
+    assert.equal(result.posting.datePosted, "2026-09-01");
+  });
+
+  test("extracts the job page", async () => {
+    const result = await extractPage("smartrecruiters.html", url);
+    assert.equal(result.method, "ats-smartrecruiters");
+    assertPosting(result.posting, {
+      title: "Senior Product Designer",
+      sections: ["Company Description", "Job Description", "Qualifications"],
+      bullet: "Evolve our design system with the platform team"
+    });
+  });
+});
+
+describe("Workable", () => {
+  test("reads the jobs API", async () => {
+    const result = await extractEndpoint("https://apply.workable.com/acme/j/A1B2C3D4E5/", "workable-api.json");
+    assert.equal(result.method, "ats-workable-api");
+    assert.equal(result.endpoint, "https://apply.workable.com/api/v2/accounts/acme/jobs/A1B2C3D4E5");
+    assertPosting(result.posting, {
+      title: "Senior Product Designer",
+      sections: ["Description", "What you will do", "Requirements"],
+      bullet: "Run usability tests every sprint and share what you learn"
+    });
+    assert.equal(result.posting.location, "Lisbon, Portugal");
+  });
+});
+
+describe("Teamtailor", () => {
+  test("extracts the job page", async () => {
+    const result = await extractPage("teamtailor.html", "https://acme.teamtailor.com/jobs/4821-senior-product-designer");
+    assert.equal(result.method, "ats-teamtailor");
+    assertPosting(result.posting, {
+      title: "Senior Product Designer",
+      sections: ["", "What you'll do", "Who you are"],
+      bullet: "Mentor two mid-level designers"
+    });
+  });
+});
+
+describe("iCIMS", () => {
+  const url = "https://careers-acme.icims.com/jobs/1234/senior-product-designer/job";
+  const expected = {
+    title: "Senior Product Designer",
+    sections: ["Overview", "Responsibilities", "Qualifications"],
+    bullet: "Shadow clinical staff to understand their daily workflows"
+  };
+
+  test("reads the embedded job frame", async () => {
+    const result = await extractEndpoint(url, "icims.html");
+    assert.equal(result.method, "ats-icims-frame");
+    assert.equal(result.endpoint, `${url}?in_iframe=1`);
+    assertPosting(result.posting, expected);
+  });
+
+  test("extracts the job page", async () => {
+    const result = await extractPage("icims.html", url);
+    assert.equal(result.method, "ats-icims");
+    assertPosting(result.posting, expected);
+  });
+});
+
+describe("BambooHR", () => {
+  test("reads the careers detail endpoint", async () => {
+    const result = await extractEndpoint("https://acme.bamboohr.com/careers/42", "bamboohr-api.json");
+    assert.equal(result.method, "ats-bamboohr-api");
+    assert.equal(result.endpoint, "https://acme.bamboohr.com/careers/42/detail");
+    assertPosting(result.posting, {
+      title: "Senior Product Designer",
+      sections: ["", "Responsibilities", "Requirements"],
+      bullet: "Design the technician mobile app used on every job site"
+    });
+  });
+
+  test("finds the job id in the query string", () => {
+    const source = ATS_ENDPOINTS.find((item) => item.method === "ats-bamboohr-api");
+    assert.equal(
+      source.endpoint(new URL("https://acme.bamboohr.com/jobs/view.php?id=42")),
+      "https://acme.bamboohr.com/careers/42/detail"
+    );
+  });
+});
+
+describe("Recruitee", () => {
+  const url = "https://acme.recruitee.com/o/senior-product-designer";
+
+  test("reads the offers API", async () => {
+    const result = await extractEndpoint(url, "recruitee-api.json");
+    assert.equal(result.method, "ats-recruitee-api");
+    assert.equal(result.endpoint, "https://acme.recruitee.com/api/offers/senior-product-designer");
+    assertPosting(result.posting, {
+      title: "Senior Product Designer",
+      sections: ["Description", "Requirements"],
+      bullet: "Own the member app from research to release"
+    });
+    assert.equal(result.posting.company, "Acme");
+  });
+
+  test("extracts the job page", async () => {
+    const result = await extractPage("recruitee.html", url);
+    assert.equal(result.method, "ats-recruitee");
+    assertPosting(result.posting, {
+      title: "Senior Product Designer",
+      sections: ["About the role", "Requirements"],
+      bullet: "Fluent in English; Dutch is a plus"
+    });
+  });
+});
+
+describe("LinkedIn", () => {
+  const expected = {
+    title: "Senior Product Designer",
+    sections: ["", "What you'll do", "What we're looking for"],
+    bullet: "Work in a squad with a product manager and six engineers"
+  };
+
+  test("reads the guest job view", async () => {
+    const result = await extractEndpoint(
+      "https://www.linkedin.com/jobs/view/senior-product-designer-at-acme-3912345678",
+      "linkedin.html"
+    );
+    assert.equal(result.method, "ats-linkedin-guest");
+    assert.equal(result.endpoint, "https://www.linkedin.com/jobs-guest/jobs/api/jobPosting/3912345678");
+    assertPosting(result.posting, expected);
+    assert.equal(result.posting.company, "Acme");
+    assert.equal(result.posting.location, "London, England, United Kingdom");
+  });
+
+  test("finds the job id in a search URL", () => {
+    const source = ATS_ENDPOINTS.find((item) => item.method === "ats-linkedin-guest");
+    assert.equal(
+      source.endpoint(new URL("https://www.linkedin.com/jobs/search/?currentJobId=3912345678&keywords=design")),
+      "https://www.linkedin.com/jobs-guest/jobs/api/jobPosting/3912345678"
+    );
+  });
+
+  test("extracts the job page", async () => {
+    const result = await extractPage("linkedin.html", "https://www.linkedin.com/jobs/view/3912345678");
+    assert.equal(result.method, "ats-linkedin");
+    assertPosting(result.posting, expected);
+  });
+});
@@ -0,0 +1,33 @@
+import "./setup.js";
+import http from "node:http";
+import { server } from "../server.js";
+
+export let baseUrl = "";
+
+export async function startServer() {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+export function stopServer() {
+  return new Promise((resolve) => server.close(resolve));
+}
+
+export function postJson(path, payload, headers = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(payload)
+  });
+}
+
+// fetch() normalizes "..", so traversal checks send the raw path.
+export function getRawPath(path) {
+  return new Promise((resolve, reject) => {
+    const request = http.get({ host: "127.0.0.1", port: server.address().port, path }, (response) => {
+      response.resume();
+      response.on("end", () => resolve(response.statusCode));
+    });
+    request.on("error", reject);
+  });
+}
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, mock, test } from "node:test";
+import { baseUrl, postJson, startServer, stopServer } from "./helpers.js";
+
+const JOB_TEXT = `Senior Product Designer
+
+## What you'll do
+- Design the checkout experience for our marketplace on web and mobile
+- Partner with product managers and engineers on discovery and delivery
+- Run usability research with buyers and sellers every sprint
+
+## Requirements
+- 5+ years designing consumer products
+- Strong interaction design and prototyping skills`;
+
+let cookie = "";
+
+before(async () => {
+  await startServer();
+  const response = await postJson("/api/auth/register", { email: "deck@example.com", password: "password123" });
+  cookie = response.headers.get("set-cookie").split(";")[0];
+  assert.equal((await postJson("/api/analyze", { text: JOB_TEXT }, { Cookie: cookie })).status, 200);
+});
+
+after(stopServer);
+afterEach(() => mock.timers.reset());
+
+async function session(limit) {
+  const response = await fetch(`${baseUrl}/api/practice/session?limit=${limit}`, { headers: { Cookie: cookie } });
+  assert.equal(response.status, 200);
+  return (await response.json()).cards;
+}
+
+test("returns the requested number of due cards", async () => {
+  assert.equal((await session(3)).length, 3);
+});
+
+async function deckSize() {
+  return (await (await fetch(`${baseUrl}/api/practice`, { headers: { Cookie: cookie } })).json()).total;
+}
+
+test("clamps limits below one instead of returning every card", async () => {
+  const total = await deckSize();
+  assert.ok(total > 1);
+  assert.equal((await session(-5)).length, 1);
+  assert.equal((await session(0)).length, Math.min(10, total));
+  assert.equal((await session("abc")).length, Math.min(10, total));
+  assert.equal((await session(1000)).length, Math.min(50, total));
+});
+
+async function practiceStats(timeZone) {
+  const response = await fetch(`${baseUrl}/api/practice?timeZone=${timeZone}`, { headers: { Cookie: cookie } });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+test("counts days in the user's time zone, not the server's", async () => {
+  // 19:00 on the 19th in Los Angeles is already the 20th in UTC.
+  mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-10-20T02:00:00Z") });
+  const [card] = await session(1);
+  const before = await practiceStats("America/Los_Angeles");
+  const response = await postJson(
+    "/api/practice/review",
+    { question: card.question, confidence: 1, timeZone: "America/Los_Angeles" },
+    { Cookie: cookie }
+  );
+  assert.equal((await response.json()).card.dueDay, "2026-10-20");
+
+  const after = await practiceStats("America/Los_Angeles");
+  assert.equal(after.reviewedToday, before.reviewedToday + 1);
+  assert.equal(after.dueToday, before.dueToday - 1);
+
+  // Just after midnight in Los Angeles the card is due again.
+  mock.timers.setTime(Date.parse("2026-10-20T07:30:00Z"));
+  const nextDay = await practiceStats("America/Los_Angeles");
+  assert.equal(nextDay.dueToday, before.dueToday);
+  assert.equal(nextDay.reviewedToday, 0);
+});
+
+test("rejects an unknown time zone", async () => {
+  const response = await fetch(`${baseUrl}/api/practice?timeZone=Mars/Olympus_Mons`, { headers: { Cookie: cookie } });
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,81 @@
+import "./allow-local-fetch.js";
+import "./setup.js";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { gzipSync } from "node:zlib";
+import { after, before, test } from "node:test";
+import { fetchForRender } from "../server.js";
+
+let board;
+let boardUrl = "";
+
+// Stands in for a Playwright request as seen by the render route.
+function renderRequest(url, { method = "GET", headers = {}, body = null } = {}) {
+  return {
+    url: () => url,
+    method: () => method,
+    headers: () => headers,
+    postDataBuffer: () => body
+  };
+}
+
+before(async () => {
+  board = http.createServer((req, res) => {
+    if (req.url === "/redirect") {
+      res.writeHead(302, { Location: `http://localhost:${board.address().port}/admin` });
+      return res.end();
+    }
+    if (req.url === "/graphql") {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      return req.on("end", () => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ method: req.method, body }));
+      });
+    }
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Content-Encoding": "gzip" });
+    res.end(gzipSync("<h1>Senior Product Designer</h1>"));
+  });
+  await new Promise((resolve) => board.listen(0, "127.0.0.1", resolve));
+  boardUrl = `http://127.0.0.1:${board.address().port}`;
+});
+
+after(() => new Promise((resolve) => board.close(resolve)));
+
+test("returns the decoded response for Chromium to use", async () => {
+  const response = await fetchForRender(renderRequest(`${boardUrl}/job`));
+  assert.equal(response.status, 200);
+  assert.equal(response.body.toString(), "<h1>Senior Product Designer</h1>");
+  assert.equal(response.headers["content-encoding"], undefined);
+  assert.equal(response.headers["content-type"], "text/html; charset=utf-8");
+});
+
+test("forwards the method and body of script requests", async () => {
+  const response = await fetchForRender(
+    renderRequest(`${boardUrl}/graphql`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: Buffer.from('{"query":"job"}')
+    })
+  );
+  assert.deepEqual(JSON.parse(response.body), { method: "POST", body: '{"query":"job"}' });
+});
+
+test("hands redirects back instead of following them", async () => {
+  const response = await fetchForRender(renderRequest(`${boardUrl}/redirect`));
+  assert.equal(response.status, 302);
+  assert.match(response.headers.location, /^http:\/\/localhost:\d+\/admin$/);
+});
+
+test("refuses hostnames that resolve to a private or loopback address", async () => {
+  await assert.rejects(
+    fetchForRender(renderRequest(`http://localhost:${board.address().port}/admin`)),
+    { code: "blocked_address" }
+  );
+});
+
+test("refuses private and metadata addresses", async () => {
+  for (const url of ["http://10.0.0.8/", "http://169.254.169.254/latest/meta-data/", "http://[::1]/"]) {
+    await assert.rejects(fetchForRender(renderRequest(url)), { code: "blocked_address" }, url);
+  }
+});
@@ -0,0 +1,17 @@
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// Imported before server.js so the module reads a test configuration:
+// an in-memory database, a throwaway data directory, the fixture model and no outbound fetching.
+const dataDir = mkdtempSync(join(tmpdir(), "questioner-test-"));
+process.on("exit", () => rmSync(dataDir, { recursive: true, force: true }));
+
+process.env.DATA_DIR = dataDir;
+process.env.DATABASE_PATH = ":memory:";
+process.env.LLM_PROVIDER = "fixture";
+process.env.STT_PROVIDER = "fixture";
+process.env.RENDER_PROVIDER = "none";
+process.env.JINA_FALLBACK = "false";
+process.env.FETCH_ALLOWED_HOSTS ??= "";
+process.env.ADMIN_USERS ??= "";
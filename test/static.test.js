@@ -0,0 +1,17 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { getRawPath, startServer, stopServer } from "./helpers.js";
+
+before(startServer);
+after(stopServer);
+
+test("serves files from public/", async () => {
+  assert.equal(await getRawPath("/styles.css"), 200);
+  assert.equal(await getRawPath("/"), 200);
+});
+
+test("refuses paths that resolve outside public/", async () => {
+  for (const path of ["/../package.json", "/../server.js", "/../data.sqlite", "/public/../../package.json", "/..%2fpackage.json"]) {
+    assert.equal(await getRawPath(path), 404, path);
+  }
+});